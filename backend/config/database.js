@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Accounts created before email verification existed have no emailVerified
+// field at all (newer ones store false), so they were already trusted and are
+// marked verified rather than locked into UNVERIFIED_USER_ACCESS.
+const markExistingEmailsVerified = async () => {
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`📧 Marked ${result.modifiedCount} existing account${result.modifiedCount === 1 ? '' : 's'} as email verified`);
+  }
+};
 
 const connectDB = async () => {
   try {
@@ -8,6 +23,10 @@ const connectDB = async () => {
     });
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    await markExistingEmailsVerified().catch(error => {
+      console.error('❌ Email verification migration error:', error.message);
+    });
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
     
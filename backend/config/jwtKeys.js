@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// HS256 signs with the shared JWT_SECRET. RS256 and ES256 sign with private keys
+// from JWT_KEYS_DIR, and other services verify tokens with the published JWKS.
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Placeholder secrets from this repo that must never sign production tokens
+const DEFAULT_SECRETS = [
+  'your-super-secret-jwt-key-change-in-production',
+  'your-super-secret-jwt-key-change-in-production-make-it-long-and-random'
+];
+
+// One PEM file per key, named <kid>.pem. Private keys sign and verify; public
+// keys only verify, which is how a retired key is kept until its tokens expire.
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+
+// Key that signs new tokens (defaults to the newest private key by kid)
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID || null;
+
+// Claims that tell access tokens apart from every other token signed with the
+// same keys. Services verifying against the JWKS must check iss, aud and typ.
+const JWT_ISSUER = process.env.JWT_ISSUER || 'taskmaster';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'taskmaster-api';
+
+// Kinds of token this server signs. Single-purpose tokens (2FA challenges,
+// email links, SSO codes) get an audience no API accepts.
+const TOKEN_KINDS = {
+  access: { audience: JWT_AUDIENCE, typ: 'at+jwt' },
+  purpose: { audience: `${JWT_ISSUER}:purpose`, typ: 'JWT' }
+};
+
+let signingKeys = null;
+
+// Check that a key file holds the kind of key JWT_ALGORITHM needs
+const matchesAlgorithm = (publicKey) => {
+  if (JWT_ALGORITHM === 'RS256') {
+    return publicKey.asymmetricKeyType === 'rsa';
+  }
+  return publicKey.asymmetricKeyType === 'ec' &&
+    publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1';
+};
+
+// Read every key in JWT_KEYS_DIR and pick the one that signs new tokens
+const loadKeys = () => {
+  if (!ASYMMETRIC_ALGORITHMS.includes(JWT_ALGORITHM)) {
+    if (JWT_ALGORITHM !== 'HS256') {
+      throw new Error(`Unsupported JWT_ALGORITHM "${JWT_ALGORITHM}". Use HS256, RS256 or ES256.`);
+    }
+    return { active: null, byKid: new Map() };
+  }
+
+  if (!fs.existsSync(JWT_KEYS_DIR)) {
+    throw new Error(`JWT_KEYS_DIR ${JWT_KEYS_DIR} does not exist. Run "npm run generate-signing-key".`);
+  }
+
+  const byKid = new Map();
+
+  for (const file of fs.readdirSync(JWT_KEYS_DIR).filter(name => name.endsWith('.pem')).sort()) {
+    const kid = path.basename(file, '.pem');
+    const pem = fs.readFileSync(path.join(JWT_KEYS_DIR, file), 'utf8');
+    const privateKey = pem.includes('PRIVATE KEY') ? crypto.createPrivateKey(pem) : null;
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+
+    if (!matchesAlgorithm(publicKey)) {
+      throw new Error(`Signing key ${file} is not a valid ${JWT_ALGORITHM} key`);
+    }
+
+    byKid.set(kid, { kid, privateKey, publicKey });
+  }
+
+  const privateKids = [...byKid.values()].filter(key => key.privateKey).map(key => key.kid);
+  const activeKid = JWT_ACTIVE_KID || privateKids[privateKids.length - 1];
+  const active = byKid.get(activeKid);
+
+  if (!active || !active.privateKey) {
+    throw new Error(activeKid
+      ? `JWT_ACTIVE_KID ${activeKid} has no private key in ${JWT_KEYS_DIR}`
+      : `No private signing keys in ${JWT_KEYS_DIR}. Run "npm run generate-signing-key".`);
+  }
+
+  return { active, byKid };
+};
+
+const getKeys = () => {
+  if (!signingKeys) {
+    signingKeys = loadKeys();
+  }
+  return signingKeys;
+};
+
+// Load the signing keys and refuse insecure settings. Called once at startup so
+// a bad configuration stops the server instead of failing on the first login.
+const initSigningKeys = () => {
+  if (process.env.NODE_ENV === 'production' && JWT_ALGORITHM === 'HS256' &&
+      DEFAULT_SECRETS.includes(JWT_SECRET)) {
+    throw new Error('JWT_SECRET is missing or still the example value. Set a long random secret or use RS256/ES256 signing keys.');
+  }
+
+  const { active, byKid } = getKeys();
+  return active
+    ? `${JWT_ALGORITHM} (signing with ${active.kid}, ${byKid.size} key${byKid.size === 1 ? '' : 's'} loaded)`
+    : 'HS256 (shared secret)';
+};
+
+// Sign a JWT of the given kind ('access' or 'purpose') with the active key,
+// tagging it with the key's ID
+const signJwt = (payload, kind, options = {}) => {
+  const { active } = getKeys();
+  const { audience, typ } = TOKEN_KINDS[kind];
+  const claims = { ...options, issuer: JWT_ISSUER, audience, header: { typ } };
+
+  if (!active) {
+    return jwt.sign(payload, JWT_SECRET, { ...claims, algorithm: 'HS256' });
+  }
+
+  return jwt.sign(payload, active.privateKey, {
+    ...claims,
+    algorithm: JWT_ALGORITHM,
+    keyid: active.kid
+  });
+};
+
+// Verify a JWT with the key named in its header, and check that it is the
+// expected kind of token
+const verifyJwt = (token, kind) => {
+  const { active, byKid } = getKeys();
+  const { audience, typ } = TOKEN_KINDS[kind];
+  let key = JWT_SECRET;
+  let algorithms = ['HS256'];
+
+  if (active) {
+    const decoded = jwt.decode(token, { complete: true });
+    const entry = decoded && byKid.get(decoded.header.kid);
+
+    if (!entry) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    key = entry.publicKey;
+    algorithms = [JWT_ALGORITHM];
+  }
+
+  const { header, payload } = jwt.verify(token, key, {
+    algorithms,
+    issuer: JWT_ISSUER,
+    audience,
+    complete: true
+  });
+
+  if (header.typ !== typ) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return payload;
+};
+
+// Public keys for /.well-known/jwks.json (empty with a shared secret)
+const getJwks = () => {
+  const { byKid } = getKeys();
+
+  return {
+    keys: [...byKid.values()].map(({ kid, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: JWT_ALGORITHM,
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = {
+  JWT_ALGORITHM,
+  JWT_KEYS_DIR,
+  JWT_ISSUER,
+  JWT_AUDIENCE,
+  initSigningKeys,
+  signJwt,
+  verifyJwt,
+  getJwks
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+// Everything a role can be allowed to do. Routes declare which of these they need.
+const PERMISSIONS = {
+  'tasks:read': 'View your own tasks',
+  'tasks:write': 'Create, update and delete your own tasks',
+  'tasks:read:any': "View any user's tasks",
+  'users:read': 'View user accounts',
+  'users:manage': 'Change roles, unlock, deactivate and force password resets on user accounts',
+  'users:impersonate': 'Temporarily sign in as another user to see what they see',
+  'settings:manage': 'Change sign-in methods',
+  'audit:read': 'View the log of admin actions'
+};
+
+// Built-in roles. Support staff can look at accounts and tasks but change nothing.
+const DEFAULT_ROLES = {
+  user: ['tasks:read', 'tasks:write'],
+  support: ['tasks:read', 'tasks:read:any', 'users:read'],
+  admin: Object.keys(PERMISSIONS)
+};
+
+// Optional JSON file that adds roles or redefines built-in ones, e.g.
+// { "roles": { "auditor": ["users:read", "tasks:read:any"] } }
+const ROLES_CONFIG = process.env.ROLES_CONFIG || null;
+
+const loadRoles = () => {
+  if (!ROLES_CONFIG) {
+    return DEFAULT_ROLES;
+  }
+
+  const { roles = {} } = JSON.parse(fs.readFileSync(ROLES_CONFIG, 'utf8'));
+
+  for (const [role, permissions] of Object.entries(roles)) {
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Role "${role}" in ${ROLES_CONFIG} has unknown permissions: ${unknown.join(', ')}`);
+    }
+  }
+
+  return { ...DEFAULT_ROLES, ...roles };
+};
+
+const ROLES = loadRoles();
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Permissions granted by a role (none for unknown roles)
+const getRolePermissions = (role) => ROLES[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,45 @@
+// Choices offered for each user preference. The frontend keeps matching lists.
+
+// Tasks shown per page
+const PAGE_SIZES = [10, 20, 50];
+
+// Task list sort orders ("-" for descending)
+const TASK_SORT_ORDERS = ['createdAt', 'updatedAt', 'dueDate', 'title']
+  .flatMap(field => [field, `-${field}`]);
+
+// Pages the app can open after login
+const LANDING_PAGES = ['/dashboard', '/tasks', '/profile'];
+
+const THEMES = ['light', 'dark', 'system'];
+
+// Email notifications a user can turn on or off
+const NOTIFICATION_TYPES = ['securityAlerts', 'taskReminders', 'productUpdates'];
+
+// Preferences of a user who hasn't changed anything
+const DEFAULT_PREFERENCES = {
+  tasks: {
+    pageSize: 10,
+    sort: '-createdAt',
+    filters: {
+      status: '',
+      priority: '',
+      category: ''
+    }
+  },
+  landingPage: '/dashboard',
+  theme: 'light',
+  notifications: {
+    securityAlerts: true,
+    taskReminders: true,
+    productUpdates: false
+  }
+};
+
+module.exports = {
+  PAGE_SIZES,
+  TASK_SORT_ORDERS,
+  LANDING_PAGES,
+  THEMES,
+  NOTIFICATION_TYPES,
+  DEFAULT_PREFERENCES
+};
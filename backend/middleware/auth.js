@@ -1,31 +1,207 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isTokenRevoked } = require('../services/tokenRevocationService');
+const { findActiveSession, touchSession } = require('../services/sessionService');
+const { findActiveImpersonation, toImpersonationResponse } = require('../services/impersonationService');
+const { recordAuditEvent } = require('../services/auditLogService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const {
+  isPersonalAccessToken,
+  findPersonalAccessToken,
+  touchPersonalAccessToken
+} = require('../services/personalAccessTokenService');
+const {
+  COOKIE_AUTH,
+  ACCESS_COOKIE,
+  getCookie,
+  hasValidCsrfToken
+} = require('../utils/authCookies');
+const { signJwt, verifyJwt } = require('../config/jwtKeys');
+const { getRolePermissions } = require('../config/permissions');
 
-// JWT Secret (should be in environment variables)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+// What users with an unverified email may do: 'full', 'read-only' or 'none'
+const UNVERIFIED_USER_ACCESS = process.env.UNVERIFIED_USER_ACCESS || 'read-only';
 
-// Generate JWT Token
+// Generate JWT Token (short-lived access token, renewed with a refresh token)
 const generateToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '24h'
+  return signJwt(payload, 'access', {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    jwtid: crypto.randomUUID() // Lets a single token be revoked
+  });
+};
+
+// Generate an access token for an admin acting as another user. It carries both
+// identities (the "act" claim names the admin), can't be refreshed and stops
+// working when the impersonation ends or expires.
+const generateImpersonationToken = (impersonation) => {
+  const expiresIn = Math.floor((new Date(impersonation.expiresAt).getTime() - Date.now()) / 1000);
+
+  return signJwt({
+    id: impersonation.user,
+    act: { sub: String(impersonation.admin) },
+    imp: impersonation._id
+  }, 'access', {
+    expiresIn,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+// Generate a signed single-purpose token (e.g. for links sent by email)
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return signJwt({ ...payload, purpose }, 'purpose', { expiresIn });
+};
+
+// Verify a single-purpose token, rejecting tokens issued for anything else
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = verifyJwt(token, 'purpose');
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+// Verify a token, load its user and session, and check the revocation store
+const verifyAccessToken = async (token) => {
+  const decoded = verifyJwt(token, 'access');
+
+  // Single-purpose tokens can't be used as access tokens (verifyJwt already
+  // refuses their audience, this is a second line of defence)
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+
+  const user = await User.findById(decoded.id).select('+tokensValidAfter');
+  let revoked = user ? await isTokenRevoked(decoded, user) : false;
+
+  // Tokens die with their session (signed out from another device)
+  const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+  if (decoded.sid && !session) {
+    revoked = true;
+  }
+
+  // Impersonation tokens die when the impersonation ends, or when the admin
+  // behind it is deactivated or loses the right to impersonate
+  let impersonation = null;
+  if (decoded.imp) {
+    impersonation = await findActiveImpersonation(decoded.imp);
+    const admin = impersonation ? await User.findById(impersonation.admin) : null;
+
+    if (!impersonation || !decoded.act || String(impersonation.admin) !== decoded.act.sub ||
+        !admin || !admin.isActive || !getRolePermissions(admin.role).includes('users:impersonate')) {
+      revoked = true;
+    }
+  }
+
+  return {
+    user,
+    revoked,
+    auth: {
+      type: 'session',
+      jti: decoded.jti,
+      iat: decoded.iat,
+      exp: decoded.exp,
+      sid: decoded.sid,
+      impersonation: impersonation ? toImpersonationResponse(impersonation) : null
+    },
+    touch: session ? (ip) => touchSession(session, ip) : null
+  };
+};
+
+// Look up a personal access token and its user
+const verifyPersonalAccessToken = async (token) => {
+  const record = await findPersonalAccessToken(token);
+
+  if (!record) {
+    throw new jwt.JsonWebTokenError('Invalid personal access token');
+  }
+
+  const user = await User.findById(record.user);
+
+  return {
+    user,
+    revoked: false,
+    auth: {
+      type: 'token',
+      tokenId: record._id,
+      scopes: record.scopes
+    },
+    touch: () => touchPersonalAccessToken(record)
+  };
+};
+
+// Verify either kind of bearer credential
+const verifyCredentials = (token) => {
+  return isPersonalAccessToken(token)
+    ? verifyPersonalAccessToken(token)
+    : verifyAccessToken(token);
+};
+
+// Read the token from the Authorization header, or from the session cookie in cookie mode
+const getRequestToken = (req) => {
+  const authHeader = req.header('Authorization');
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), fromCookie: false }; // Remove 'Bearer ' prefix
+  }
+
+  if (COOKIE_AUTH) {
+    const token = getCookie(req, ACCESS_COOKIE);
+    if (token) {
+      return { token, fromCookie: true };
+    }
+  }
+
+  return null;
+};
+
+// Record a request made while impersonating once its response has been sent
+const auditImpersonatedRequest = (req, res) => {
+  const { impersonation } = req.auth;
+
+  res.on('finish', () => {
+    recordAuditEvent({
+      action: 'impersonation.request',
+      actor: impersonation.admin,
+      target: { _id: req.user.id, email: req.user.email },
+      details: {
+        impersonationId: impersonation.id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      },
+      ip: req.ip
+    }).catch(error => console.error('Impersonation audit error:', error));
+  });
+};
+
+// Record a refused access token as a security event. Expired tokens are
+// routine (the client refreshes them) and aren't recorded.
+const recordTokenRejected = (req, reason, user = null) => {
+  recordSecurityEvent(req, {
+    type: 'auth.token_rejected',
+    outcome: 'failure',
+    user,
+    details: { reason }
   });
 };
 
 // Verify JWT Token Middleware
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
+    // Get token from header or cookie
+    const credentials = getRequestToken(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!credentials) {
       return res.status(401).json({
         success: false,
         message: 'Access denied. No token provided.'
       });
     }
     
-    // Extract token
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const { token, fromCookie } = credentials;
     
     if (!token) {
       return res.status(401).json({
@@ -34,32 +210,65 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Browsers send cookies automatically, so cookie-authenticated
+    // writes must prove they came from our frontend
+    if (fromCookie && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token.'
+      });
+    }
+    
+    // Verify token (a JWT from signing in, or a personal access token)
+    const { user, revoked, auth, touch } = await verifyCredentials(token);
     
     // Check if user exists and is active
-    const user = await User.findById(decoded.id);
-    
     if (!user || !user.isActive) {
+      recordTokenRejected(req, user ? 'inactive_user' : 'unknown_user', user);
       return res.status(401).json({
         success: false,
         message: 'User not found or inactive.'
       });
     }
     
+    // Check if the token has been revoked (logout, log out everywhere)
+    if (revoked) {
+      recordTokenRejected(req, 'revoked', user);
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+    
     // Add user info to request
     req.user = {
       id: user._id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+      emailVerified: user.emailVerified,
+      timezone: user.timezone
     };
     
+    // Keep token details around for logout and scope checks
+    req.auth = auth;
+    
+    // Every request made while impersonating goes into the audit log
+    if (auth.impersonation) {
+      auditImpersonatedRequest(req, res);
+    }
+    
+    if (touch) {
+      await touch(req.ip);
+    }
+    
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     
     if (error.name === 'JsonWebTokenError') {
+      recordTokenRejected(req, 'invalid');
       return res.status(401).json({
         success: false,
         message: 'Invalid token.'
@@ -80,10 +289,11 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-const authorize = (...roles) => {
+// Require the user's role to grant every given permission (see config/permissions.js)
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Insufficient permissions.'
@@ -93,25 +303,92 @@ const authorize = (...roles) => {
   };
 };
 
+// Require personal access tokens to carry the given scopes.
+// Signed-in sessions have full access and always pass.
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.auth.type !== 'token') {
+      return next();
+    }
+
+    const missing = scopes.filter(scope => !req.auth.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Token is missing required scope: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Reject personal access tokens but allow impersonation tokens (e.g. for logout)
+const rejectPersonalAccessTokens = (req, res, next) => {
+  if (req.auth.type === 'token') {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this action.'
+    });
+  }
+
+  next();
+};
+
+// Reject personal access tokens on account management routes,
+// which should only be reachable from a signed-in session
+const requireSession = (req, res, next) => {
+  rejectPersonalAccessTokens(req, res, () => {
+    // Admins impersonating a user can look at the account but not change it
+    if (req.auth.impersonation && !['GET', 'HEAD'].includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This action is not available while impersonating a user.'
+      });
+    }
+
+    next();
+  });
+};
+
+// Limit what users who haven't verified their email address can do
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified || UNVERIFIED_USER_ACCESS === 'full') {
+    return next();
+  }
+
+  if (UNVERIFIED_USER_ACCESS === 'read-only' && ['GET', 'HEAD'].includes(req.method)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to continue.'
+  });
+};
+
 // Validate token without requiring authentication (for optional auth routes)
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.header('Authorization');
+    const credentials = getRequestToken(req);
     
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
+    if (credentials) {
+      const { token } = credentials;
       
       if (token) {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.id);
+        const { user, revoked, auth } = await verifyCredentials(token);
         
-        if (user && user.isActive) {
+        if (user && user.isActive && !revoked) {
           req.user = {
             id: user._id,
             email: user.email,
             name: user.name,
-            role: user.role
+            role: user.role,
+            permissions: getRolePermissions(user.role),
+            emailVerified: user.emailVerified,
+            timezone: user.timezone
           };
+          req.auth = auth;
         }
       }
     }
@@ -125,7 +402,14 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  generateImpersonationToken,
+  generatePurposeToken,
+  verifyPurposeToken,
   authenticate,
-  authorize,
+  requirePermission,
+  requireScope,
+  requireSession,
+  rejectPersonalAccessTokens,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+const multer = require('multer');
+const { AVATAR_MAX_SIZE_MB } = require('../services/avatarService');
+
+// Content types the browser may send for an avatar. The image itself is checked
+// again when it's resized.
+const AVATAR_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_MAX_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!AVATAR_CONTENT_TYPES.includes(file.mimetype)) {
+      return callback(new Error('Avatar must be a JPEG, PNG, WebP or GIF image'));
+    }
+    callback(null, true);
+  }
+});
+
+// Parse a multipart upload with the image in the "avatar" field into req.file
+const uploadAvatar = (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Avatar must be ${AVATAR_MAX_SIZE_MB} MB or smaller`
+          : error.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadAvatar
+};
@@ -1,4 +1,15 @@
 const Joi = require('joi');
+const { TOKEN_SCOPES } = require('../services/personalAccessTokenService');
+const { COOKIE_AUTH } = require('../utils/authCookies');
+const { ROLE_NAMES } = require('../config/permissions');
+const { DATE_FORMATS, isValidTimeZone, isValidLocale } = require('../utils/dates');
+const {
+  PAGE_SIZES,
+  TASK_SORT_ORDERS,
+  LANDING_PAGES,
+  THEMES,
+  NOTIFICATION_TYPES
+} = require('../config/preferences');
 
 // Validation middleware
 const validate = (schema) => {
@@ -18,6 +29,19 @@ const validate = (schema) => {
   };
 };
 
+// Password rules shared by registration and password changes
+const passwordSchema = Joi.string()
+  .min(6)
+  .max(128)
+  .required()
+  .pattern(new RegExp('^(?=.*[a-zA-Z])(?=.*[0-9])'))
+  .messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'string.max': 'Password cannot be more than 128 characters',
+    'string.pattern.base': 'Password must contain at least one letter and one number',
+    'string.empty': 'Password is required'
+  });
+
 // User registration validation schema
 const registerSchema = Joi.object({
   name: Joi.string()
@@ -30,6 +54,18 @@ const registerSchema = Joi.object({
       'string.min': 'Name must be at least 2 characters long',
       'string.max': 'Name cannot be more than 50 characters'
     }),
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'string.empty': 'Email is required'
+    }),
+  password: passwordSchema
+});
+
+// User login validation schema
+const loginSchema = Joi.object({
   email: Joi.string()
     .email()
     .required()
@@ -38,34 +74,267 @@ const registerSchema = Joi.object({
       'string.empty': 'Email is required'
     }),
   password: Joi.string()
-    .min(6)
-    .max(128)
     .required()
-    .pattern(new RegExp('^(?=.*[a-zA-Z])(?=.*[0-9])'))
     .messages({
-      'string.min': 'Password must be at least 6 characters long',
-      'string.max': 'Password cannot be more than 128 characters',
-      'string.pattern.base': 'Password must contain at least one letter and one number',
       'string.empty': 'Password is required'
     })
 });
 
-// User login validation schema
-const loginSchema = Joi.object({
+// Refresh token validation schema
+const refreshTokenSchema = Joi.object({
+  // In cookie mode the refresh token arrives in a cookie instead
+  refreshToken: Joi.string()
+    .presence(COOKIE_AUTH ? 'optional' : 'required')
+    .messages({
+      'string.empty': 'Refresh token is required',
+      'any.required': 'Refresh token is required'
+    })
+});
+
+// Forgot password validation schema
+const forgotPasswordSchema = Joi.object({
   email: Joi.string()
     .email()
     .required()
     .messages({
       'string.email': 'Please enter a valid email address',
       'string.empty': 'Email is required'
+    })
+});
+
+// Reset password validation schema
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Reset token is required',
+      'any.required': 'Reset token is required'
+    }),
+  password: passwordSchema
+});
+
+// Change password validation schema
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Current password is required',
+      'any.required': 'Current password is required'
+    }),
+  newPassword: passwordSchema
+    .invalid(Joi.ref('currentPassword'))
+    .messages({
+      'any.invalid': 'New password must be different from the current password'
+    })
+});
+
+// Change email validation schema
+const changeEmailSchema = Joi.object({
+  newEmail: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'string.empty': 'New email is required',
+      'any.required': 'New email is required'
     }),
   password: Joi.string()
     .required()
     .messages({
-      'string.empty': 'Password is required'
+      'string.empty': 'Current password is required',
+      'any.required': 'Current password is required'
+    })
+});
+
+// Confirm email change validation schema
+const confirmEmailChangeSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Confirmation token is required',
+      'any.required': 'Confirmation token is required'
+    })
+});
+
+// Email verification validation schema
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Verification token is required',
+      'any.required': 'Verification token is required'
+    })
+});
+
+// Magic link request validation schema
+const magicLinkRequestSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'string.empty': 'Email is required'
+    })
+});
+
+// Magic link login validation schema
+const magicLinkLoginSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Sign-in token is required',
+      'any.required': 'Sign-in token is required'
+    })
+});
+
+// Login methods (admin setting) validation schema
+const loginMethodsSchema = Joi.object({
+  password: Joi.boolean(),
+  magicLink: Joi.boolean()
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one login method to change'
+  });
+
+// Two-factor code validation schema (enrollment)
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Authentication code must be 6 digits',
+      'string.empty': 'Authentication code is required',
+      'any.required': 'Authentication code is required'
+    })
+});
+
+// Two-factor login validation schema (TOTP code or recovery code)
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Challenge token is required',
+      'any.required': 'Challenge token is required'
+    }),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.pattern.base': 'Authentication code must be 6 digits'
+    }),
+  recoveryCode: Joi.string()
+    .trim()
+    .max(20)
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Authentication code or recovery code is required',
+    'object.xor': 'Provide either an authentication code or a recovery code'
+  });
+
+// Two-factor disable validation schema
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required'
+    })
+});
+
+// SSO login code exchange validation schema
+const oidcExchangeSchema = Joi.object({
+  code: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Login code is required',
+      'any.required': 'Login code is required'
+    })
+});
+
+// Name given to a passkey so users can tell their devices apart
+const passkeyNameSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(50)
+  .messages({
+    'string.empty': 'Passkey name is required',
+    'string.max': 'Passkey name cannot be more than 50 characters'
+  });
+
+// WebAuthn ceremony response validation schema. The credential itself is
+// checked by the WebAuthn library, this only ensures the envelope is there.
+const passkeyCeremonySchema = {
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Challenge token is required',
+      'any.required': 'Challenge token is required'
+    }),
+  response: Joi.object({
+    id: Joi.string().required(),
+    rawId: Joi.string().required(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object().unknown(true).required()
+  })
+    .unknown(true)
+    .required()
+    .messages({
+      'any.required': 'Passkey response is required'
     })
+};
+
+// Passkey registration validation schema
+const passkeyRegistrationSchema = Joi.object({
+  ...passkeyCeremonySchema,
+  name: passkeyNameSchema
 });
 
+// Passkey login validation schema
+const passkeyLoginSchema = Joi.object(passkeyCeremonySchema);
+
+// Passkey rename validation schema
+const renamePasskeySchema = Joi.object({
+  name: passkeyNameSchema.required()
+});
+
+// Personal access token creation validation schema
+const createAccessTokenSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Token name is required',
+      'string.max': 'Token name cannot be more than 100 characters'
+    }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...TOKEN_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be one of: ${TOKEN_SCOPES.join(', ')}`,
+      'array.min': 'Select at least one scope'
+    }),
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .messages({
+      'number.min': 'Expiry must be at least 1 day',
+      'number.max': 'Expiry cannot be more than 365 days'
+    })
+});
+
+// Start or end of the working day, as HH:mm
+const workingTimeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Working hours must be times such as 09:00'
+  });
+
 // User profile update validation schema
 const updateProfileSchema = Joi.object({
   name: Joi.string()
@@ -81,9 +350,144 @@ const updateProfileSchema = Joi.object({
     .allow('')
     .messages({
       'string.uri': 'Avatar must be a valid URL'
+    }),
+  bio: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Bio cannot be more than 500 characters'
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .allow(null)
+    .messages({
+      'any.invalid': 'Time zone must be a valid IANA time zone such as Europe/London'
+    }),
+  locale: Joi.string()
+    .custom((value, helpers) => (isValidLocale(value) ? value : helpers.error('any.invalid')))
+    .allow(null)
+    .messages({
+      'any.invalid': 'Locale must be a supported language tag such as en-GB'
+    }),
+  dateFormat: Joi.string()
+    .valid(...DATE_FORMATS)
+    .messages({
+      'any.only': `Date format must be one of: ${DATE_FORMATS.join(', ')}`
+    }),
+  workingHours: Joi.object({
+    start: workingTimeSchema.required(),
+    end: workingTimeSchema.required(),
+    days: Joi.array()
+      .items(Joi.number().integer().min(0).max(6))
+      .unique()
+      .required()
+      .messages({
+        'number.min': 'Working days must be numbers from 0 (Sunday) to 6 (Saturday)',
+        'number.max': 'Working days must be numbers from 0 (Sunday) to 6 (Saturday)',
+        'array.unique': 'Working days cannot repeat'
+      })
+  })
+    .custom((value, helpers) => (value.start < value.end ? value : helpers.error('workingHours.order')))
+    .messages({
+      'workingHours.order': 'Working hours must end after they start'
     })
 });
 
+// Optional note an admin can attach to an action for the audit log
+const adminReasonSchema = Joi.string()
+  .trim()
+  .max(500)
+  .allow('')
+  .messages({
+    'string.max': 'Reason cannot be more than 500 characters'
+  });
+
+// Admin action on a user account (deactivate, reactivate, unlock, force reset)
+const adminUserActionSchema = Joi.object({
+  reason: adminReasonSchema
+});
+
+// Admin role change validation schema
+const updateUserRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLE_NAMES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${ROLE_NAMES.join(', ')}`,
+      'any.required': 'Role is required'
+    }),
+  reason: adminReasonSchema
+});
+
+// Starting an impersonation needs a reason for the audit log
+const impersonateSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'Reason is required',
+      'string.min': 'Reason must be at least 3 characters long',
+      'string.max': 'Reason cannot be more than 500 characters',
+      'any.required': 'Reason is required'
+    })
+});
+
+// Preferences update validation schema. Every field is optional, and only the
+// ones sent are changed.
+const updatePreferencesSchema = Joi.object({
+  tasks: Joi.object({
+    pageSize: Joi.number()
+      .valid(...PAGE_SIZES)
+      .messages({
+        'any.only': `Page size must be one of: ${PAGE_SIZES.join(', ')}`
+      }),
+    sort: Joi.string()
+      .valid(...TASK_SORT_ORDERS)
+      .messages({
+        'any.only': `Sort must be one of: ${TASK_SORT_ORDERS.join(', ')}`
+      }),
+    filters: Joi.object({
+      status: Joi.string()
+        .valid('', 'pending', 'in-progress', 'completed')
+        .messages({
+          'any.only': 'Status filter must be pending, in-progress or completed'
+        }),
+      priority: Joi.string()
+        .valid('', 'low', 'medium', 'high')
+        .messages({
+          'any.only': 'Priority filter must be low, medium or high'
+        }),
+      category: Joi.string()
+        .trim()
+        .max(50)
+        .allow('')
+        .messages({
+          'string.max': 'Category filter cannot be more than 50 characters'
+        })
+    })
+  }),
+  landingPage: Joi.string()
+    .valid(...LANDING_PAGES)
+    .messages({
+      'any.only': `Landing page must be one of: ${LANDING_PAGES.join(', ')}`
+    }),
+  theme: Joi.string()
+    .valid(...THEMES)
+    .messages({
+      'any.only': `Theme must be one of: ${THEMES.join(', ')}`
+    }),
+  notifications: Joi.object(
+    Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, Joi.boolean()]))
+  )
+})
+  .min(1)
+  .messages({
+    'object.min': 'No preferences to update'
+  });
+
 // Task creation validation schema
 const createTaskSchema = Joi.object({
   title: Joi.string()
@@ -195,7 +599,29 @@ module.exports = {
   validate,
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  confirmEmailChangeSchema,
+  verifyEmailSchema,
+  magicLinkRequestSchema,
+  magicLinkLoginSchema,
+  loginMethodsSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  oidcExchangeSchema,
+  passkeyRegistrationSchema,
+  passkeyLoginSchema,
+  renamePasskeySchema,
+  createAccessTokenSchema,
   updateProfileSchema,
+  adminUserActionSchema,
+  updateUserRoleSchema,
+  impersonateSchema,
+  updatePreferencesSchema,
   createTaskSchema,
   updateTaskSchema
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A user's request to delete their account. The account is purged once
+// scheduledFor passes, unless the user signs in first. The record is removed
+// when the deletion is cancelled or carried out.
+const accountDeletionSchema = new mongoose.Schema({
+  // String IDs so records look the same with or without MongoDB
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Copied in so admins can see who is leaving and login lockouts can be cleared
+  email: {
+    type: String,
+    default: ''
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  }
+});
+
+// Index for better query performance
+accountDeletionSchema.index({ scheduledFor: 1 });
+
+const AccountDeletion = mongoose.model('AccountDeletion', accountDeletionSchema);
+
+module.exports = AccountDeletion;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A record of something an administrator did. Emails are copied in so the
+// entry still makes sense after either account is deleted.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true // e.g. "user.role_changed"
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetEmail: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
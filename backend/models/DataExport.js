@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// An archive of everything stored about a user, built in the background
+// when they ask for a copy of their data
+const dataExportSchema = new mongoose.Schema({
+  // String IDs so records look the same with or without MongoDB
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Where the archive is kept (see services/storageService.js)
+  storageKey: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive can't be downloaded after this
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Index for better query performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// An admin temporarily acting as another user. The ID goes into the
+// "imp" claim of the impersonation access token.
+const impersonationSchema = new mongoose.Schema({
+  // String IDs so records look the same with or without MongoDB
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adminEmail: {
+    type: String,
+    default: ''
+  },
+  adminName: {
+    type: String,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Index for better query performance
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+
+// The audit log keeps the history, so old records can go after 30 days
+impersonationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+module.exports = Impersonation;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First few characters of the token, so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Something security-relevant that happened to an account: a login, a rejected
+// token, a password or profile change. See services/securityEventService.js.
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true // e.g. "auth.login"
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  // The account the event is about (null when a login names an unknown email)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    default: ''
+  },
+  // Who did it: the user, or an admin impersonating them
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Events are kept for 90 days
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // String IDs so sessions look the same with or without MongoDB.
+  // The ID doubles as the refresh token family and the access token "sid" claim.
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Index for better query performance
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+
+// Clean up sessions that haven't been used for 30 days
+sessionSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
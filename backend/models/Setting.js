@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Application-wide settings that admins can change at runtime
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
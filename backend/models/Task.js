@@ -78,8 +78,9 @@ taskSchema.index({ user: 1, createdAt: -1 });
 taskSchema.index({ user: 1, status: 1 });
 taskSchema.index({ user: 1, priority: 1 });
 
-// Static method to get user tasks with filtering
-taskSchema.statics.getUserTasks = function(userId, filter = {}) {
+// Static method to get user tasks with filtering, sorted by a field name
+// ("-" prefix for descending)
+taskSchema.statics.getUserTasks = function(userId, filter = {}, sort = '-createdAt') {
   const query = { user: userId };
   
   // Add status filter if provided
@@ -107,13 +108,14 @@ taskSchema.statics.getUserTasks = function(userId, filter = {}) {
     ];
   }
   
-  return this.find(query).sort({ createdAt: -1 });
+  const sortField = sort.replace(/^-/, '');
+  return this.find(query).sort({ [sortField]: sort.startsWith('-') ? -1 : 1, _id: -1 });
 };
 
 // Static method to get task statistics
 taskSchema.statics.getTaskStats = function(userId) {
   return this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
     {
       $group: {
         _id: '$status',
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_NAMES } = require('../config/permissions');
+const { DATE_FORMATS } = require('../utils/dates');
+
+// A WebAuthn credential registered by the user
+const passkeySchema = new mongoose.Schema({
+  credentialId: {
+    type: String,
+    required: true // base64url credential ID from the authenticator
+  },
+  publicKey: {
+    type: String,
+    required: true // base64url COSE public key
+  },
+  counter: {
+    type: Number,
+    default: 0 // Signature counter, must increase on every use
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Passkey name cannot be more than 50 characters']
+  },
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,13 +70,61 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLE_NAMES, // See config/permissions.js
     default: 'user'
   },
   avatar: {
     type: String,
     default: null
   },
+  // Set when the avatar was uploaded rather than linked (see services/avatarService.js)
+  avatarId: {
+    type: String,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot be more than 500 characters'],
+    default: ''
+  },
+  // Dates are shown in the user's time zone and locale (the browser's until set)
+  timezone: {
+    type: String,
+    default: null
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  dateFormat: {
+    type: String,
+    enum: DATE_FORMATS,
+    default: 'locale'
+  },
+  workingHours: {
+    start: {
+      type: String,
+      default: '09:00'
+    },
+    end: {
+      type: String,
+      default: '17:00'
+    },
+    // Days of the week, 0 = Sunday
+    days: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5]
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -42,6 +133,89 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  tokensValidAfter: {
+    type: Date,
+    default: null,
+    select: false // Tokens issued before this time are rejected
+  },
+  passwordResetRequired: {
+    type: Boolean,
+    default: false // Set by an admin, blocks password login until a reset
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false // Only the SHA-256 hash of the token is stored
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // New address waiting to be confirmed from the link sent to it
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailChangeToken: {
+    type: String,
+    default: null,
+    select: false // Only the SHA-256 hash of the token is stored
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  magicLinkToken: {
+    type: String,
+    default: null,
+    select: false // Only the SHA-256 hash of the token is stored
+  },
+  magicLinkExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false // Secret awaiting confirmation during enrollment
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false // SHA-256 hashes of unused recovery codes
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false // Last accepted TOTP time step, to reject replays
+  },
+  passkeys: {
+    type: [passkeySchema],
+    default: [],
+    select: false
+  },
+  oidcIssuer: {
+    type: String,
+    default: null
+  },
+  oidcSubject: {
+    type: String,
+    default: null // The user's ID at the SSO identity provider
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,6 +226,23 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Fields that must never be sent to clients
+const PRIVATE_FIELDS = [
+  'password',
+  'tokensValidAfter',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailChangeToken',
+  'emailChangeExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'passkeys'
+];
+
 // Update the updatedAt field before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -81,7 +272,7 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
-  delete userObject.password;
+  PRIVATE_FIELDS.forEach(field => delete userObject[field]);
   return userObject;
 };
 
@@ -90,6 +281,12 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Look up passkey owners by credential ID during login
+userSchema.index({ 'passkeys.credentialId': 1 });
+
 const User = mongoose.model('User', userSchema);
 
+// Exposed so in-memory users can be stripped the same way
+User.PRIVATE_FIELDS = PRIVATE_FIELDS;
+
 module.exports = User;
\ No newline at end of file
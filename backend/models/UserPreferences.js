@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const {
+  PAGE_SIZES,
+  TASK_SORT_ORDERS,
+  LANDING_PAGES,
+  THEMES,
+  DEFAULT_PREFERENCES
+} = require('../config/preferences');
+
+const { tasks, notifications } = DEFAULT_PREFERENCES;
+
+// How a user likes the app set up, stored on the server so the same settings
+// apply on every device. See config/preferences.js for the choices.
+const userPreferencesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  tasks: {
+    pageSize: {
+      type: Number,
+      enum: PAGE_SIZES,
+      default: tasks.pageSize
+    },
+    sort: {
+      type: String,
+      enum: TASK_SORT_ORDERS,
+      default: tasks.sort
+    },
+    // Filters applied when the task list opens
+    filters: {
+      status: {
+        type: String,
+        default: tasks.filters.status
+      },
+      priority: {
+        type: String,
+        default: tasks.filters.priority
+      },
+      category: {
+        type: String,
+        default: tasks.filters.category
+      }
+    }
+  },
+  landingPage: {
+    type: String,
+    enum: LANDING_PAGES,
+    default: DEFAULT_PREFERENCES.landingPage
+  },
+  theme: {
+    type: String,
+    enum: THEMES,
+    default: DEFAULT_PREFERENCES.theme
+  },
+  notifications: {
+    securityAlerts: {
+      type: Boolean,
+      default: notifications.securityAlerts
+    },
+    taskReminders: {
+      type: Boolean,
+      default: notifications.taskReminders
+    },
+    productUpdates: {
+      type: Boolean,
+      default: notifications.productUpdates
+    }
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const UserPreferences = mongoose.model('UserPreferences', userPreferencesSchema);
+
+module.exports = UserPreferences;
@@ -1,11 +1,127 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { generateToken, authenticate } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema } = require('../middleware/validation');
+const {
+  generateToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  authenticate,
+  requirePermission,
+  requireScope,
+  requireSession,
+  rejectPersonalAccessTokens
+} = require('../middleware/auth');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  confirmEmailChangeSchema,
+  verifyEmailSchema,
+  magicLinkRequestSchema,
+  magicLinkLoginSchema,
+  loginMethodsSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  oidcExchangeSchema,
+  passkeyRegistrationSchema,
+  passkeyLoginSchema,
+  renamePasskeySchema,
+  createAccessTokenSchema
+} = require('../middleware/validation');
+const {
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens
+} = require('../services/refreshTokenService');
+const {
+  revokeToken,
+  revokeAllUserTokens,
+  isTokenRevoked
+} = require('../services/tokenRevocationService');
+const {
+  createSession,
+  findActiveSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const {
+  toTokenResponse,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+  revokeUserPersonalAccessTokens
+} = require('../services/personalAccessTokenService');
+const { sendMail } = require('../services/mailService');
+const { createPasswordResetToken, sendPasswordResetEmail } = require('../services/passwordResetService');
+const { createEmailChangeToken, sendEmailChangeEmails } = require('../services/emailChangeService');
+const { getLoginMethods, updateLoginMethods } = require('../services/settingsService');
+const { recordAuditEvent } = require('../services/auditLogService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { endImpersonation } = require('../services/impersonationService');
+const { cancelAccountDeletion, registerPurgeHandler } = require('../services/accountDeletionService');
+const {
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../services/loginAttemptService');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const {
+  COOKIE_AUTH,
+  REFRESH_COOKIE,
+  getCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken
+} = require('../utils/authCookies');
+const totp = require('../utils/totp');
+const { getRolePermissions } = require('../config/permissions');
+const oidc = require('../services/oidcService');
+const passkeys = require('../services/passkeyService');
 
 const router = express.Router();
 
+// Magic sign-in links are valid for this many minutes
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES, 10) || 15;
+
+// Email verification links are valid for this long
+const EMAIL_VERIFICATION_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || '24h';
+
+// Two-factor login challenges are valid for this long
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// Number of one-time recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+// Issuer name shown in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'TaskMaster';
+
+// Base URL used to build links in emails
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Role given to users created on their first SSO login
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'user';
+
+// Cookie holding the state, nonce and PKCE verifier while the user is at the identity provider
+const OIDC_TRANSACTION_COOKIE = 'tm_oidc';
+const OIDC_TRANSACTION_EXPIRE = '10m';
+
+// One-time code the frontend exchanges for tokens after an SSO login
+const OIDC_LOGIN_CODE_EXPIRE = '1m';
+
+// How long a passkey ceremony's challenge stays valid
+const PASSKEY_CHALLENGE_EXPIRE = '5m';
+
 // In-memory storage for development (when MongoDB is not available)
 const inMemoryUsers = new Map();
 let userCounter = 1;
@@ -25,8 +141,13 @@ const createUser = async (userData) => {
       name: userData.name,
       email: userData.email.toLowerCase(),
       password: hashedPassword,
-      role: 'user',
+      role: userData.role || 'user',
       isActive: true,
+      emailVerified: userData.emailVerified || false,
+      emailVerifiedAt: userData.emailVerifiedAt || null,
+      oidcIssuer: userData.oidcIssuer || null,
+      oidcSubject: userData.oidcSubject || null,
+      passkeys: [],
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -37,6 +158,16 @@ const createUser = async (userData) => {
   }
 };
 
+// Remove a purged account from in-memory storage (accountDeletionService
+// deletes the MongoDB user)
+registerPurgeHandler(({ userId }) => {
+  for (const [email, user] of inMemoryUsers.entries()) {
+    if (user._id == userId) {
+      inMemoryUsers.delete(email);
+    }
+  }
+});
+
 // Helper function to find user (works with or without MongoDB)
 const findUserByEmail = async (email) => {
   try {
@@ -49,6 +180,395 @@ const findUserByEmail = async (email) => {
   }
 };
 
+// Helper function to find user by ID (works with or without MongoDB).
+// `select` can include fields that are hidden by default, e.g. '+password'.
+const findUserById = async (id, select) => {
+  try {
+    // Try MongoDB first
+    const query = User.findById(id);
+    if (select) query.select(select);
+    const user = await query;
+    return user;
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const user of inMemoryUsers.values()) {
+      if (user._id == id) {
+        return user;
+      }
+    }
+    return null;
+  }
+};
+
+// Helper function to find the user a passkey belongs to (works with or without MongoDB)
+const findUserByPasskey = async (credentialId) => {
+  try {
+    // Try MongoDB first
+    const user = await User.findOne({ 'passkeys.credentialId': credentialId }).select('+passkeys');
+    return user;
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const user of inMemoryUsers.values()) {
+      if ((user.passkeys || []).some(passkey => passkey.credentialId === credentialId)) {
+        return user;
+      }
+    }
+    return null;
+  }
+};
+
+// Helper function to copy a user's passkeys into plain objects that can be
+// changed and saved back with saveUser
+const getPasskeys = (user) => {
+  return (user.passkeys || []).map(passkey => (passkey.toObject ? passkey.toObject() : { ...passkey }));
+};
+
+// Helper function to save changes to a user (works with or without MongoDB)
+const saveUser = async (user, updates) => {
+  if (user.save) {
+    // MongoDB user, the pre-save hook hashes a changed password
+    Object.assign(user, updates);
+    await user.save();
+    return user;
+  }
+
+  // In-memory user
+  if (updates.password) {
+    updates = { ...updates, password: await bcrypt.hash(updates.password, 12) };
+  }
+  Object.assign(user, updates, { updatedAt: new Date() });
+  return user;
+};
+
+// Helper function to consume a single-use token stored on the user (password reset,
+// magic link), so it can only be used once. Returns the token's user or null.
+const consumeUserToken = async (tokenField, expiresField, tokenHash) => {
+  try {
+    // Try MongoDB first (atomically clear the token while looking it up)
+    const user = await User.findOneAndUpdate(
+      { [tokenField]: tokenHash, [expiresField]: { $gt: new Date() } },
+      { [tokenField]: null, [expiresField]: null },
+      { new: true }
+    ).select('+password');
+    return user;
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const user of inMemoryUsers.values()) {
+      if (user[tokenField] === tokenHash && user[expiresField] > new Date()) {
+        user[tokenField] = null;
+        user[expiresField] = null;
+        return user;
+      }
+    }
+    return null;
+  }
+};
+
+// Helper function to switch a user to the address waiting in pendingEmail, using up
+// the confirmation token. Returns { user } with the updated user (null if the token
+// is invalid or expired) and the previous address, or { user, emailTaken: true }
+// if another account has taken the new address since the change was requested.
+const applyEmailChange = async (tokenHash) => {
+  const changes = {
+    pendingEmail: null,
+    emailChangeToken: null,
+    emailChangeExpires: null,
+    emailVerified: true, // Opening the link proves the user controls the address
+    emailVerifiedAt: new Date()
+  };
+
+  let pending;
+  try {
+    // Try MongoDB first
+    pending = await User.findOne({ emailChangeToken: tokenHash, emailChangeExpires: { $gt: new Date() } });
+  } catch (error) {
+    // Fallback to in-memory storage (users are keyed by email, so move the entry)
+    const user = Array.from(inMemoryUsers.values()).find(item =>
+      item.emailChangeToken === tokenHash && item.emailChangeExpires > new Date());
+    if (!user || !user.pendingEmail) {
+      return { user: null };
+    }
+    if (inMemoryUsers.has(user.pendingEmail)) {
+      return { user, emailTaken: true };
+    }
+
+    const previousEmail = user.email;
+    const email = user.pendingEmail;
+    inMemoryUsers.delete(previousEmail);
+    Object.assign(user, changes, { email, updatedAt: new Date() });
+    inMemoryUsers.set(email, user);
+    return { user, previousEmail };
+  }
+
+  if (!pending || !pending.pendingEmail) {
+    return { user: null };
+  }
+
+  try {
+    // A single conditional update switches the address and uses up the token, and
+    // the unique index on email refuses it if the address has been taken
+    const user = await User.findOneAndUpdate(
+      { _id: pending._id, emailChangeToken: tokenHash },
+      { ...changes, email: pending.pendingEmail, updatedAt: new Date() },
+      { new: true }
+    );
+    return { user, previousEmail: pending.email };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { user: pending, emailTaken: true };
+    }
+    throw error;
+  }
+};
+
+// Helper function to email a signed verification link.
+// The link embeds the address, so it stops working if the email changes.
+const sendVerificationEmail = async (user) => {
+  const token = generatePurposeToken(
+    { id: user._id, email: user.email },
+    'email-verification',
+    EMAIL_VERIFICATION_EXPIRE
+  );
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TaskMaster email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below.\n\n` +
+      `${verifyUrl}\n\n` +
+      `If you didn't create a TaskMaster account, you can ignore this email.`
+  });
+};
+
+// Helper function to issue an access token and a refresh token for a session.
+// The session ID is also the refresh token family, so revoking one revokes the other.
+const issueTokens = async (userId, sessionId) => {
+  const token = generateToken({ id: userId, sid: sessionId });
+  const refreshToken = await createRefreshToken(userId, sessionId);
+  return { token, refreshToken };
+};
+
+// Helper function to start a session for the device making this request
+const startSession = async (userId, req) => {
+  const session = await createSession(userId, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  return issueTokens(userId, session._id);
+};
+
+// Helper function to hand a new token pair to the client. In cookie mode the
+// tokens go into httpOnly cookies and the body only says when the access token expires.
+const deliverTokens = (res, data) => {
+  if (!COOKIE_AUTH) {
+    return data;
+  }
+
+  const { token, refreshToken, ...rest } = data;
+  const expiresAt = setAuthCookies(res, { token, refreshToken });
+
+  return { ...rest, expiresAt };
+};
+
+// Helper function to strip private fields before sending a user to the client
+const toUserResponse = (user) => {
+  const userResponse = user.getPublicProfile ? user.getPublicProfile() : { ...user };
+  User.PRIVATE_FIELDS.forEach(field => delete userResponse[field]);
+  // Lets the frontend hide what the user isn't allowed to do
+  userResponse.permissions = getRolePermissions(userResponse.role);
+  return userResponse;
+};
+
+// Helper function to reject a login attempt while the account or IP is locked
+const sendLockedOut = (res, retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter
+  });
+};
+
+// Helper function to end the impersonation a request's token belongs to
+const finishImpersonation = async (req) => {
+  const { impersonation } = req.auth;
+
+  await endImpersonation(impersonation.id);
+
+  await recordAuditEvent({
+    action: 'impersonation.ended',
+    actor: impersonation.admin,
+    target: { _id: req.user.id, email: req.user.email },
+    details: { impersonationId: impersonation.id },
+    ip: req.ip
+  });
+};
+
+// Helper function to record a failed login as a security event
+const recordFailedLogin = (req, method, reason, { user = null, email = '' } = {}) => {
+  recordSecurityEvent(req, {
+    type: 'auth.login',
+    outcome: 'failure',
+    user,
+    email,
+    details: { method, reason }
+  });
+};
+
+// Helper function to finish a successful login: record it and issue tokens.
+// Signing in cancels a pending account deletion. Every login method returns
+// this same response data.
+const completeLogin = async (user, req, method) => {
+  await saveUser(user, { lastLogin: new Date() });
+  await clearLoginFailures(user.email);
+  const deletionCancelled = await cancelAccountDeletion(user._id);
+
+  recordSecurityEvent(req, { type: 'auth.login', user, details: { method } });
+  if (deletionCancelled) {
+    recordSecurityEvent(req, { type: 'account.deletion_cancelled', user });
+  }
+
+  const { token, refreshToken } = await startSession(user._id, req);
+
+  return {
+    user: toUserResponse(user),
+    token,
+    refreshToken,
+    deletionCancelled
+  };
+};
+
+// Helper function to answer a successful first-factor login (password or magic link):
+// a 2FA challenge if the user has 2FA enabled, otherwise tokens
+const sendLoginResponse = async (res, user, req, method) => {
+  // With 2FA enabled, the first factor alone only earns a short-lived challenge
+  if (user.twoFactorEnabled) {
+    const challengeToken = generatePurposeToken(
+      { id: user._id },
+      '2fa-challenge',
+      TWO_FACTOR_CHALLENGE_EXPIRE
+    );
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  // Update last login and generate tokens
+  const data = await completeLogin(user, req, method);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: deliverTokens(res, data)
+  });
+};
+
+// Helper function to find the user for an SSO identity, linking an existing
+// account with the same verified email or creating a new one
+const findOrProvisionOidcUser = async (identity) => {
+  if (!identity.email || !identity.emailVerified) {
+    throw new Error('Your identity provider did not share a verified email address.');
+  }
+
+  const oidcFields = {
+    oidcIssuer: oidc.OIDC_ISSUER,
+    oidcSubject: identity.subject
+  };
+
+  const existingUser = await findUserByEmail(identity.email);
+
+  if (existingUser) {
+    if (existingUser.oidcSubject) {
+      if (existingUser.oidcIssuer !== oidcFields.oidcIssuer || existingUser.oidcSubject !== identity.subject) {
+        throw new Error('This account is linked to a different SSO identity.');
+      }
+
+      return existingUser;
+    }
+
+    // Only link an account whose owner already proved they control the email.
+    // Otherwise whoever registered the address first would keep a password
+    // that opens the real owner's account.
+    if (!existingUser.emailVerified) {
+      throw new Error('An account with this email already exists but its address is not verified. Sign in with your password (or reset it) and verify your email before using single sign-on.');
+    }
+
+    return saveUser(existingUser, oidcFields);
+  }
+
+  // SSO users sign in through the provider; the random password just satisfies
+  // the schema (they can still set one with "Forgot password")
+  await createUser({
+    name: (identity.name || identity.email.split('@')[0]).slice(0, 50),
+    email: identity.email,
+    password: generateRandomToken(32),
+    role: OIDC_DEFAULT_ROLE,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    ...oidcFields
+  });
+
+  return findUserByEmail(identity.email);
+};
+
+// Helper function to send the browser back to the login page with an SSO error
+const redirectWithSsoError = (res, message) => {
+  res.redirect(`${FRONTEND_URL}/login?ssoError=${encodeURIComponent(message)}`);
+};
+
+// Helper function to generate one-time recovery codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Helper function to check a TOTP code or a recovery code for a user.
+// Accepted codes are consumed so they can't be replayed.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+
+    if (step === null || (user.twoFactorLastUsedStep != null && step <= user.twoFactorLastUsedStep)) {
+      return false;
+    }
+
+    await saveUser(user, { twoFactorLastUsedStep: step });
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+    const remaining = user.twoFactorRecoveryCodes || [];
+
+    if (!remaining.includes(codeHash)) {
+      return false;
+    }
+
+    await saveUser(user, {
+      twoFactorRecoveryCodes: remaining.filter(hash => hash !== codeHash)
+    });
+    return true;
+  }
+
+  return false;
+};
+
 // Helper function to verify password
 const verifyPassword = async (inputPassword, hashedPassword, user) => {
   if (user.matchPassword) {
@@ -79,16 +599,25 @@ router.post('/register', validate(registerSchema), async (req, res) => {
     // Create new user
     const user = await createUser({ name, email, password });
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+    // Send verification link (registration succeeds even if this fails,
+    // the user can request a new link later)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await startSession(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: {
-        user,
-        token
-      }
+      data: deliverTokens(res, {
+        user: toUserResponse(user),
+        token,
+        refreshToken
+      })
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -106,9 +635,30 @@ router.post('/login', validate(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const loginMethods = await getLoginMethods();
+    if (!loginMethods.password) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password login is disabled'
+      });
+    }
+
+    // Refuse to check the password while the account or IP is locked out
+    const retryAfter = await getLockoutRemaining(email, req.ip);
+    if (retryAfter > 0) {
+      recordFailedLogin(req, 'password', 'locked_out', { email });
+      return sendLockedOut(res, retryAfter);
+    }
+
     // Find user
     const user = await findUserByEmail(email);
     if (!user) {
+      recordFailedLogin(req, 'password', 'unknown_user', { email });
+      const lockout = await recordLoginFailure(email, req.ip);
+      if (lockout > 0) {
+        return sendLockedOut(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -117,6 +667,7 @@ router.post('/login', validate(loginSchema), async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      recordFailedLogin(req, 'password', 'account_deactivated', { user });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
@@ -126,52 +677,156 @@ router.post('/login', validate(loginSchema), async (req, res) => {
     // Verify password
     const isPasswordValid = await verifyPassword(password, user.password, user);
     if (!isPasswordValid) {
+      recordFailedLogin(req, 'password', 'invalid_password', { user });
+      const lockout = await recordLoginFailure(email, req.ip);
+      if (lockout > 0) {
+        return sendLockedOut(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login (if MongoDB is available)
-    if (user.save) {
-      user.lastLogin = new Date();
-      await user.save();
-    } else if (inMemoryUsers.has(email.toLowerCase())) {
-      inMemoryUsers.get(email.toLowerCase()).lastLogin = new Date();
+    // An admin has invalidated this password, only the emailed reset link works now
+    if (user.passwordResetRequired) {
+      recordFailedLogin(req, 'password', 'password_reset_required', { user });
+      return res.status(403).json({
+        success: false,
+        message: 'You must reset your password before signing in. Check your email for a reset link.',
+        passwordResetRequired: true
+      });
+    }
+
+    await sendLoginResponse(res, user, req, 'password');
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/login
+// @desc    Complete a login by exchanging the 2FA challenge and a code for tokens
+// @access  Public
+router.post('/2fa/login', validate(twoFactorLoginSchema), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, '2fa-challenge');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.'
+      });
+    }
+
+    const user = await findUserById(
+      decoded.id,
+      '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+    );
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = await getLockoutRemaining(user.email, req.ip);
+    if (retryAfter > 0) {
+      recordFailedLogin(req, 'two-factor', 'locked_out', { user });
+      return sendLockedOut(res, retryAfter);
     }
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+    const isCodeValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isCodeValid) {
+      recordFailedLogin(req, 'two-factor', 'invalid_code', { user });
+      const lockout = await recordLoginFailure(user.email, req.ip);
+      if (lockout > 0) {
+        return sendLockedOut(res, lockout);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
 
-    // Remove password from response
-    const { password: _, ...userResponse } = user.toObject ? user.getPublicProfile() : user;
-    delete userResponse.password;
+    const data = await completeLogin(user, req, 'two-factor');
 
     res.json({
       success: true,
       message: 'Login successful',
+      data: deliverTokens(res, data)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return the QR code to scan
+// @access  Private
+router.post('/2fa/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret stays pending until the user confirms a code from it
+    const secret = totp.generateSecret();
+    await saveUser(user, { twoFactorPendingSecret: secret });
+
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
       data: {
-        user: userResponse,
-        token
+        secret,
+        otpauthUrl,
+        qrCode
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor setup error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error setting up two-factor authentication'
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user profile
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.post('/2fa/enable', authenticate, requireSession, validate(twoFactorCodeSchema), async (req, res) => {
   try {
-    // Find user (req.user is set by authenticate middleware)
-    const user = await findUserByEmail(req.user.email);
-    
+    const user = await findUserById(req.user.id, '+twoFactorPendingSecret');
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -179,35 +834,1494 @@ router.get('/me', authenticate, async (req, res) => {
       });
     }
 
-    // Remove password from response
-    const userResponse = user.getPublicProfile ? user.getPublicProfile() : { ...user };
-    delete userResponse.password;
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await saveUser(user, {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastUsedStep: step
+    });
+
+    recordSecurityEvent(req, { type: 'two_factor.enabled', user });
 
     res.json({
       success: true,
+      message: 'Two-factor authentication enabled',
       data: {
-        user: userResponse
+        recoveryCodes: codes
       }
     });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Two-factor enable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching profile'
+      message: 'Server error enabling two-factor authentication'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (mainly for client-side token removal)
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires the account password)
 // @access  Private
-router.post('/logout', authenticate, (req, res) => {
-  // Since JWT is stateless, logout is handled client-side by removing the token
-  // This endpoint is mainly for logging purposes and client confirmation
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/2fa/disable', authenticate, requireSession, validate(twoFactorDisableSchema), async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id, '+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await verifyPassword(req.body.password, user.password, user);
+    if (!isPasswordValid) {
+      recordSecurityEvent(req, {
+        type: 'two_factor.disabled',
+        outcome: 'failure',
+        user,
+        details: { reason: 'invalid_password' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await saveUser(user, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    recordSecurityEvent(req, { type: 'two_factor.disabled', user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/passkeys/register/options
+// @desc    Start registering a passkey for the current user
+// @access  Private
+router.post('/passkeys/register/options', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id, '+passkeys');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (getPasskeys(user).length >= passkeys.MAX_PASSKEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${passkeys.MAX_PASSKEYS} passkeys`
+      });
+    }
+
+    const options = await passkeys.createRegistrationOptions(user);
+
+    // The challenge travels in a signed token so the server stays stateless
+    const challengeToken = generatePurposeToken(
+      { id: user._id, challenge: options.challenge, jti: crypto.randomUUID() },
+      'passkey-registration',
+      PASSKEY_CHALLENGE_EXPIRE
+    );
+
+    res.json({
+      success: true,
+      data: {
+        options,
+        challengeToken
+      }
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey registration'
+    });
+  }
+});
+
+// @route   POST /api/auth/passkeys/register/verify
+// @desc    Finish registering a passkey with the authenticator's response
+// @access  Private
+router.post('/passkeys/register/verify', authenticate, requireSession, validate(passkeyRegistrationSchema), async (req, res) => {
+  try {
+    const { challengeToken, response, name } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, 'passkey-registration');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration has expired. Please try again.'
+      });
+    }
+
+    const user = await findUserById(req.user.id, '+passkeys');
+
+    // Each challenge can only be used once, and only by the user it was issued to
+    if (!user || String(decoded.id) !== String(user._id) || await isTokenRevoked(decoded, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration has expired. Please try again.'
+      });
+    }
+    await revokeToken(decoded.jti, new Date(decoded.exp * 1000), user._id);
+
+    let passkey;
+    try {
+      passkey = await passkeys.verifyRegistration(response, decoded.challenge);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Passkey registration failed: ${error.message}`
+      });
+    }
+
+    const existing = getPasskeys(user);
+
+    if (existing.length >= passkeys.MAX_PASSKEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${passkeys.MAX_PASSKEYS} passkeys`
+      });
+    }
+
+    if (await findUserByPasskey(passkey.credentialId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    const newPasskey = {
+      ...passkey,
+      name: name || `Passkey ${existing.length + 1}`,
+      createdAt: new Date(),
+      lastUsedAt: null
+    };
+
+    await saveUser(user, { passkeys: [...existing, newPasskey] });
+
+    recordSecurityEvent(req, { type: 'passkey.added', user, details: { name: newPasskey.name } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey added successfully',
+      data: {
+        passkey: passkeys.toPasskeyResponse(newPasskey)
+      }
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering passkey'
+    });
+  }
+});
+
+// @route   GET /api/auth/passkeys
+// @desc    List the current user's passkeys
+// @access  Private
+router.get('/passkeys', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id, '+passkeys');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        passkeys: getPasskeys(user).map(passkeys.toPasskeyResponse)
+      }
+    });
+  } catch (error) {
+    console.error('List passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching passkeys'
+    });
+  }
+});
+
+// @route   PUT /api/auth/passkeys/:id
+// @desc    Rename a passkey
+// @access  Private
+router.put('/passkeys/:id', authenticate, requireSession, validate(renamePasskeySchema), async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id, '+passkeys');
+    const existing = user ? getPasskeys(user) : [];
+    const passkey = existing.find(item => item.credentialId === req.params.id);
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    passkey.name = req.body.name;
+    await saveUser(user, { passkeys: existing });
+
+    res.json({
+      success: true,
+      message: 'Passkey renamed successfully',
+      data: {
+        passkey: passkeys.toPasskeyResponse(passkey)
+      }
+    });
+  } catch (error) {
+    console.error('Rename passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error renaming passkey'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/passkeys/:id
+// @desc    Remove a passkey
+// @access  Private
+router.delete('/passkeys/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id, '+passkeys');
+    const existing = user ? getPasskeys(user) : [];
+
+    if (!existing.some(item => item.credentialId === req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    await saveUser(user, {
+      passkeys: existing.filter(item => item.credentialId !== req.params.id)
+    });
+
+    const removed = existing.find(item => item.credentialId === req.params.id);
+    recordSecurityEvent(req, { type: 'passkey.removed', user, details: { name: removed.name } });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing passkey'
+    });
+  }
+});
+
+// @route   POST /api/auth/passkeys/login/options
+// @desc    Start a passkey login
+// @access  Public
+router.post('/passkeys/login/options', async (req, res) => {
+  try {
+    const options = await passkeys.createAuthenticationOptions();
+
+    const challengeToken = generatePurposeToken(
+      { challenge: options.challenge, jti: crypto.randomUUID() },
+      'passkey-login',
+      PASSKEY_CHALLENGE_EXPIRE
+    );
+
+    res.json({
+      success: true,
+      data: {
+        options,
+        challengeToken
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey login'
+    });
+  }
+});
+
+// @route   POST /api/auth/passkeys/login/verify
+// @desc    Finish a passkey login and receive tokens
+// @access  Public
+router.post('/passkeys/login/verify', validate(passkeyLoginSchema), async (req, res) => {
+  try {
+    const { challengeToken, response } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, 'passkey-login');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.'
+      });
+    }
+
+    const user = await findUserByPasskey(response.id);
+
+    if (!user || !user.isActive) {
+      recordFailedLogin(req, 'passkey', user ? 'account_deactivated' : 'unknown_passkey', { user });
+      return res.status(401).json({
+        success: false,
+        message: 'This passkey is not registered'
+      });
+    }
+
+    // Each challenge can only be answered once
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.'
+      });
+    }
+    await revokeToken(decoded.jti, new Date(decoded.exp * 1000), user._id);
+
+    const existing = getPasskeys(user);
+    const passkey = existing.find(item => item.credentialId === response.id);
+
+    let newCounter;
+    try {
+      newCounter = await passkeys.verifyAuthentication(response, decoded.challenge, passkey);
+    } catch (error) {
+      console.warn(`Passkey login rejected for user ${user._id}: ${error.message}`);
+      recordFailedLogin(req, 'passkey', 'invalid_signature', { user });
+      return res.status(401).json({
+        success: false,
+        message: 'Passkey could not be verified'
+      });
+    }
+
+    passkey.counter = newCounter;
+    passkey.lastUsedAt = new Date();
+    await saveUser(user, { passkeys: existing });
+
+    // Passkeys require user verification (PIN or biometrics) on the device,
+    // so they already count as two factors and skip the TOTP prompt
+    const data = await completeLogin(user, req, 'passkey');
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: deliverTokens(res, data)
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during passkey login'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use sign-in link
+// @access  Public
+router.post('/magic-link', validate(magicLinkRequestSchema), async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a sign-in link has been sent'
+  };
+
+  try {
+    const loginMethods = await getLoginMethods();
+    if (!loginMethods.magicLink) {
+      return res.status(403).json({
+        success: false,
+        message: 'Magic link login is disabled'
+      });
+    }
+
+    const user = await findUserByEmail(req.body.email);
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Store only the hash, the plain token goes into the email.
+    // Requesting a new link invalidates the previous one.
+    const magicToken = generateRandomToken(32);
+    await saveUser(user, {
+      magicLinkToken: hashToken(magicToken),
+      magicLinkExpires: new Date(Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000)
+    });
+
+    const loginUrl = `${FRONTEND_URL}/magic-link?token=${magicToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your TaskMaster sign-in link',
+        text: `Hi ${user.name},\n\n` +
+          `Use the link below to sign in to TaskMaster. ` +
+          `It can be used once and expires in ${MAGIC_LINK_EXPIRE_MINUTES} minutes.\n\n` +
+          `${loginUrl}\n\n` +
+          `If you didn't request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      console.error('Magic link email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending sign-in link'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/login
+// @desc    Sign in with a magic link token (same response as /login)
+// @access  Public
+router.post('/magic-link/login', validate(magicLinkLoginSchema), async (req, res) => {
+  try {
+    const loginMethods = await getLoginMethods();
+    if (!loginMethods.magicLink) {
+      return res.status(403).json({
+        success: false,
+        message: 'Magic link login is disabled'
+      });
+    }
+
+    const user = await consumeUserToken('magicLinkToken', 'magicLinkExpires', hashToken(req.body.token));
+
+    if (!user || !user.isActive) {
+      recordFailedLogin(req, 'magic-link', user ? 'account_deactivated' : 'invalid_link', { user });
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in link is invalid or has expired'
+      });
+    }
+
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      await saveUser(user, { emailVerified: true, emailVerifiedAt: new Date() });
+    }
+
+    await sendLoginResponse(res, user, req, 'magic-link');
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/login-methods
+// @desc    Get the login methods users can choose from
+// @access  Public
+router.get('/login-methods', async (req, res) => {
+  try {
+    const loginMethods = await getLoginMethods();
+
+    res.json({
+      success: true,
+      data: {
+        ...loginMethods,
+        sso: {
+          enabled: oidc.OIDC_ENABLED,
+          providerName: oidc.OIDC_PROVIDER_NAME
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching login methods'
+    });
+  }
+});
+
+// @route   PUT /api/auth/login-methods
+// @desc    Turn password and magic link login on or off
+// @access  Private (settings:manage)
+router.put('/login-methods', authenticate, requireSession, requirePermission('settings:manage'), validate(loginMethodsSchema), async (req, res) => {
+  try {
+    const current = await getLoginMethods();
+    const next = { ...current, ...req.body };
+
+    // Don't let admins lock everyone out
+    if (!next.password && !next.magicLink && !oidc.OIDC_ENABLED) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one login method must stay enabled'
+      });
+    }
+
+    const loginMethods = await updateLoginMethods(req.body, req.user.id);
+
+    await recordAuditEvent({
+      action: 'settings.login_methods_updated',
+      actor: req.user,
+      details: { from: current, to: loginMethods },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Login methods updated successfully',
+      data: loginMethods
+    });
+  } catch (error) {
+    console.error('Update login methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating login methods'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/config
+// @desc    Tell the frontend whether SSO login is available
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: oidc.OIDC_ENABLED,
+      providerName: oidc.OIDC_PROVIDER_NAME
+    }
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start an SSO login (authorization code flow with PKCE)
+// @access  Public
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.OIDC_ENABLED) {
+    return res.status(404).json({
+      success: false,
+      message: 'SSO login is not configured'
+    });
+  }
+
+  try {
+    const state = generateRandomToken(24);
+    const nonce = generateRandomToken(24);
+    const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+
+    const transaction = generatePurposeToken(
+      { state, nonce, codeVerifier },
+      'oidc-login',
+      OIDC_TRANSACTION_EXPIRE
+    );
+
+    // Lax so the cookie comes back on the provider's top-level redirect
+    res.cookie(OIDC_TRANSACTION_COOKIE, transaction, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/oidc',
+      maxAge: 10 * 60 * 1000
+    });
+
+    res.redirect(await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge }));
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectWithSsoError(res, 'Could not reach the identity provider. Please try again later.');
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish an SSO login and hand the frontend a one-time login code
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+  const transactionToken = getCookie(req, OIDC_TRANSACTION_COOKIE);
+
+  res.clearCookie(OIDC_TRANSACTION_COOKIE, { path: '/api/auth/oidc' });
+
+  if (providerError) {
+    return redirectWithSsoError(res, 'Sign in was cancelled or denied by the identity provider.');
+  }
+
+  let transaction;
+  try {
+    transaction = verifyPurposeToken(transactionToken || '', 'oidc-login');
+  } catch (error) {
+    return redirectWithSsoError(res, 'Your SSO login expired. Please try again.');
+  }
+
+  // The state must match the one we sent, or this isn't the login we started
+  if (!code || !state || state !== transaction.state) {
+    return redirectWithSsoError(res, 'Invalid SSO response. Please try again.');
+  }
+
+  try {
+    const identity = await oidc.getUserIdentity({
+      code,
+      codeVerifier: transaction.codeVerifier,
+      nonce: transaction.nonce
+    });
+
+    let user;
+    try {
+      user = await findOrProvisionOidcUser(identity);
+    } catch (linkError) {
+      return redirectWithSsoError(res, linkError.message);
+    }
+
+    if (!user || !user.isActive) {
+      return redirectWithSsoError(res, 'Account is deactivated. Please contact support.');
+    }
+
+    const loginCode = generatePurposeToken(
+      { id: user._id, jti: crypto.randomUUID() },
+      'oidc-exchange',
+      OIDC_LOGIN_CODE_EXPIRE
+    );
+
+    // Fragment, so the code isn't sent to servers or logged in access logs
+    res.redirect(`${FRONTEND_URL}/sso/callback#code=${encodeURIComponent(loginCode)}`);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithSsoError(res, 'SSO login failed. Please try again.');
+  }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange a one-time SSO login code for tokens
+// @access  Public
+router.post('/oidc/exchange', validate(oidcExchangeSchema), async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(req.body.code, 'oidc-exchange');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'SSO login code is invalid or has expired'
+      });
+    }
+
+    const user = await findUserById(decoded.id);
+
+    // Each code can only be used once
+    if (!user || !user.isActive || await isTokenRevoked(decoded, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'SSO login code is invalid or has expired'
+      });
+    }
+    await revokeToken(decoded.jti, new Date(decoded.exp * 1000), user._id);
+
+    const data = await completeLogin(user, req, 'sso');
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: deliverTokens(res, data)
+    });
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during SSO login'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', validate(refreshTokenSchema), async (req, res) => {
+  try {
+    let { refreshToken } = req.body;
+
+    // In cookie mode the refresh token comes from its cookie, which
+    // needs the same CSRF check as any other cookie-authenticated write
+    if (!refreshToken && COOKIE_AUTH) {
+      refreshToken = getCookie(req, REFRESH_COOKIE);
+
+      if (refreshToken && !hasValidCsrfToken(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or missing CSRF token.'
+        });
+      }
+    }
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (!result) {
+      if (COOKIE_AUTH) clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    if (result.reused) {
+      console.warn('Refresh token reuse detected, session revoked');
+      await revokeSession(result.family, result.userId);
+      recordSecurityEvent(req, {
+        type: 'auth.token_rejected',
+        outcome: 'failure',
+        user: { _id: result.userId },
+        details: { reason: 'refresh_token_reused' }
+      });
+      if (COOKIE_AUTH) clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please login again.'
+      });
+    }
+
+    // Make sure the session hasn't been signed out from another device
+    const session = await findActiveSession(result.family);
+    if (!session) {
+      await revokeRefreshToken(result.refreshToken);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
+    // Make sure the account is still usable
+    const user = await findUserById(result.userId);
+    if (!user || !user.isActive) {
+      await revokeRefreshToken(result.refreshToken);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    await touchSession(session, req.ip);
+    const token = generateToken({ id: user._id, sid: session._id });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: deliverTokens(res, {
+        token,
+        refreshToken: result.refreshToken
+      })
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validate(forgotPasswordSchema), async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const user = await findUserByEmail(req.body.email);
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const { token, fields } = createPasswordResetToken();
+    await saveUser(user, fields);
+
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await consumeUserToken('passwordResetToken', 'passwordResetExpires', hashToken(token));
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    await saveUser(user, { password, passwordResetRequired: false });
+
+    // Sign out every existing session and access token, they may belong
+    // to whoever knew the old password
+    await revokeAllUserTokens(user._id);
+    await revokeUserRefreshTokens(user._id);
+    await revokeUserSessions(user._id);
+    await revokeUserPersonalAccessTokens(user._id);
+
+    recordSecurityEvent(req, { type: 'password.reset', user });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password and sign out the user's other sessions
+// @access  Private
+router.post('/change-password', authenticate, requireSession, validate(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await findUserByEmail(req.user.email);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Verify current password
+    const isPasswordValid = await verifyPassword(currentPassword, user.password, user);
+    if (!isPasswordValid) {
+      recordSecurityEvent(req, {
+        type: 'password.changed',
+        outcome: 'failure',
+        user,
+        details: { reason: 'invalid_password' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await saveUser(user, { password: newPassword, passwordResetRequired: false });
+
+    // Invalidate every existing token (personal access tokens included) and the
+    // other sessions, then issue fresh tokens so the current session stays signed in
+    await revokeAllUserTokens(user._id);
+    await revokeUserRefreshTokens(user._id);
+    await revokeUserSessions(user._id, req.auth.sid);
+    await revokeUserPersonalAccessTokens(user._id);
+    const { token, refreshToken } = req.auth.sid
+      ? await issueTokens(user._id, req.auth.sid)
+      : await startSession(user._id, req);
+
+    recordSecurityEvent(req, { type: 'password.changed', user });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: deliverTokens(res, {
+        token,
+        refreshToken
+      })
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email
+// @desc    Ask to change the account's email address (requires the password).
+//          Nothing changes until the link sent to the new address is opened.
+// @access  Private
+router.post('/change-email', authenticate, requireSession, validate(changeEmailSchema), async (req, res) => {
+  try {
+    const newEmail = req.body.newEmail.trim().toLowerCase();
+
+    const user = await findUserById(req.user.id, '+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await verifyPassword(req.body.password, user.password, user);
+    if (!isPasswordValid) {
+      recordSecurityEvent(req, {
+        type: 'email.change_requested',
+        outcome: 'failure',
+        user,
+        details: { reason: 'invalid_password' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await findUserByEmail(newEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Asking again replaces any earlier request and its link
+    const { token, fields } = createEmailChangeToken(newEmail);
+    await saveUser(user, fields);
+
+    try {
+      await sendEmailChangeEmails(user, newEmail, token);
+    } catch (mailError) {
+      console.error('Email change email error:', mailError);
+    }
+
+    recordSecurityEvent(req, { type: 'email.change_requested', user, details: { newEmail } });
+
+    res.json({
+      success: true,
+      message: `We've sent a confirmation link to ${newEmail}. Your email address changes once you open it.`,
+      data: {
+        pendingEmail: newEmail
+      }
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing email'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/change-email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/change-email', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.pendingEmail) {
+      return res.status(404).json({
+        success: false,
+        message: 'No email change is pending'
+      });
+    }
+
+    await saveUser(user, { pendingEmail: null, emailChangeToken: null, emailChangeExpires: null });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling email change'
+    });
+  }
+});
+
+// @route   POST /api/auth/confirm-email-change
+// @desc    Switch to the new email address using the link sent to it
+// @access  Public
+router.post('/confirm-email-change', validate(confirmEmailChangeSchema), async (req, res) => {
+  try {
+    const { user, previousEmail, emailTaken } = await applyEmailChange(hashToken(req.body.token));
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation link is invalid or has expired'
+      });
+    }
+
+    if (emailTaken) {
+      await saveUser(user, { pendingEmail: null, emailChangeToken: null, emailChangeExpires: null });
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is now used by another account. Please choose a different one.'
+      });
+    }
+
+    recordSecurityEvent(req, { type: 'email.changed', user, details: { previousEmail } });
+
+    res.json({
+      success: true,
+      message: 'Your email address has been changed',
+      data: {
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming email change'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the signed link
+// @access  Public
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(req.body.token, 'email-verification');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await findUserById(decoded.id);
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await saveUser(user, { emailVerified: true, emailVerifiedAt: new Date() });
+      recordSecurityEvent(req, { type: 'email.verified', user });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', authenticate, requireScope('profile:read'), async (req, res) => {
+  try {
+    // Find user (req.user is set by authenticate middleware)
+    const user = await findUserByEmail(req.user.email);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: toUserResponse(user),
+        impersonation: req.auth.impersonation || null
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current tokens
+// @access  Private
+router.post('/logout', authenticate, rejectPersonalAccessTokens, async (req, res) => {
+  try {
+    // Revoke the access token used for this request
+    await revokeToken(req.auth.jti, new Date(req.auth.exp * 1000), req.user.id);
+
+    // Logging out while impersonating ends the impersonation and signs the admin
+    // out too, so their own session can't be picked back up on a shared browser
+    if (req.auth.impersonation) {
+      await finishImpersonation(req);
+    }
+
+    // End the session so it can't be renewed. Impersonation tokens have none;
+    // the admin's refresh token is sent along or is still in its cookie.
+    const refreshToken = (req.body && req.body.refreshToken) ||
+      (COOKIE_AUTH ? getCookie(req, REFRESH_COOKIE) : null);
+
+    if (req.auth.sid) {
+      await revokeSession(req.auth.sid, req.user.id);
+    } else if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    if (COOKIE_AUTH) clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/impersonation/stop
+// @desc    End the impersonation the current token belongs to
+// @access  Private (impersonation token)
+router.post('/impersonation/stop', authenticate, async (req, res) => {
+  try {
+    const { impersonation } = req.auth;
+
+    if (!impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating anyone'
+      });
+    }
+
+    await finishImpersonation(req);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending impersonation'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere by invalidating all of the user's tokens
+// @access  Private
+router.post('/logout-all', authenticate, requireSession, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user.id);
+    await revokeUserRefreshTokens(req.user.id);
+    await revokeUserSessions(req.user.id);
+    await revokeUserPersonalAccessTokens(req.user.id);
+
+    recordSecurityEvent(req, { type: 'session.revoked', user: req.user, details: { scope: 'all' } });
+
+    if (COOKIE_AUTH) clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions successfully'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id === req.auth.sid
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    recordSecurityEvent(req, { type: 'session.revoked', user: req.user, details: { session: req.params.id } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every session except the current one
+// @access  Private
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, req.auth.sid);
+
+    recordSecurityEvent(req, { type: 'session.revoked', user: req.user, details: { scope: 'others', count } });
+
+    res.json({
+      success: true,
+      message: `${count} other session${count === 1 ? '' : 's'} revoked`,
+      data: {
+        count
+      }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the user's personal access tokens
+// @access  Private
+router.get('/tokens', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await listPersonalAccessTokens(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map(toTokenResponse)
+      }
+    });
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching access tokens'
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token for scripts and integrations
+// @access  Private
+router.post('/tokens', authenticate, requireSession, validate(createAccessTokenSchema), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { token, record } = await createPersonalAccessToken(req.user.id, {
+      name: name.trim(),
+      scopes,
+      expiresAt
+    });
+
+    recordSecurityEvent(req, {
+      type: 'access_token.created',
+      user: req.user,
+      details: { name: record.name, scopes: record.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now, it won\'t be shown again.',
+      data: {
+        token,
+        accessToken: toTokenResponse(record)
+      }
+    });
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating access token'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokePersonalAccessToken(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    recordSecurityEvent(req, { type: 'access_token.revoked', user: req.user, details: { token: req.params.id } });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking access token'
+    });
+  }
 });
 
 // @route   GET /api/auth/verify
@@ -1,7 +1,16 @@
 const express = require('express');
 const Task = require('../models/Task');
-const { authenticate } = require('../middleware/auth');
+const {
+  authenticate,
+  requirePermission,
+  requireScope,
+  requireVerifiedEmail
+} = require('../middleware/auth');
 const { validate, createTaskSchema, updateTaskSchema } = require('../middleware/validation');
+const { startOfToday } = require('../utils/dates');
+const { PAGE_SIZES, TASK_SORT_ORDERS } = require('../config/preferences');
+const { registerPurgeHandler } = require('../services/accountDeletionService');
+const { registerTaskExporter } = require('../services/dataExportService');
 
 const router = express.Router();
 
@@ -29,11 +38,14 @@ const createTask = async (taskData) => {
   }
 };
 
+// Most tasks returned per page
+const MAX_PAGE_SIZE = Math.max(...PAGE_SIZES);
+
 // Helper function to find tasks (works with or without MongoDB)
-const findUserTasks = async (userId, filter = {}) => {
+const findUserTasks = async (userId, filter = {}, sort = '-createdAt') => {
   try {
     // Try MongoDB first
-    return await Task.getUserTasks(userId, filter);
+    return await Task.getUserTasks(userId, filter, sort);
   } catch (error) {
     // Fallback to in-memory storage
     let tasks = Array.from(inMemoryTasks.values())
@@ -59,8 +71,15 @@ const findUserTasks = async (userId, filter = {}) => {
       );
     }
     
-    // Sort by creation date (newest first)
-    return tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Sort by the requested field, leaving tasks without a value (e.g. no due date) last
+    const sortField = sort.replace(/^-/, '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    return tasks.sort((a, b) => {
+      if (a[sortField] == null || b[sortField] == null) {
+        return (a[sortField] == null) - (b[sortField] == null);
+      }
+      return (a[sortField] > b[sortField] ? 1 : a[sortField] < b[sortField] ? -1 : 0) * direction;
+    });
   }
 };
 
@@ -123,40 +142,119 @@ const deleteTask = async (taskId, userId) => {
   }
 };
 
+// Helper function to delete every task a user owns (works with or without MongoDB)
+const deleteUserTasks = async (userId) => {
+  try {
+    // Try MongoDB first
+    await Task.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const [taskId, task] of inMemoryTasks.entries()) {
+      if (task.user == userId) {
+        inMemoryTasks.delete(taskId);
+      }
+    }
+  }
+};
+
+// Remove a purged account's tasks
+registerPurgeHandler(({ userId }) => deleteUserTasks(userId));
+
+// Let data exports include in-memory tasks
+registerTaskExporter((userId) => Array.from(inMemoryTasks.values())
+  .filter(task => task.user == userId)
+  .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+
+// Helper function to count tasks by status, priority and due date. A task is
+// overdue once its due date has passed in the given time zone.
+const summarizeTasks = (tasks, timeZone) => {
+  const today = startOfToday(timeZone);
+
+  return {
+    total: tasks.length,
+    completed: tasks.filter(task => task.status === 'completed').length,
+    inProgress: tasks.filter(task => task.status === 'in-progress').length,
+    pending: tasks.filter(task => task.status === 'pending').length,
+    highPriority: tasks.filter(task => task.priority === 'high').length,
+    overdue: tasks.filter(task => 
+      task.dueDate && 
+      new Date(task.dueDate) < today && 
+      task.status !== 'completed'
+    ).length
+  };
+};
+
+// Helper function to get the percentage of tasks completed
+const getCompletionRate = (stats) => {
+  return stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+};
+
+// Helper function to summarize every user's tasks (works with or without MongoDB)
+const getSystemTaskStats = async (timeZone) => {
+  try {
+    // Try MongoDB first (counted in the database rather than loading every task)
+    const [total, completed, inProgress, pending, highPriority, overdue, owners] = await Promise.all([
+      Task.countDocuments(),
+      Task.countDocuments({ status: 'completed' }),
+      Task.countDocuments({ status: 'in-progress' }),
+      Task.countDocuments({ status: 'pending' }),
+      Task.countDocuments({ priority: 'high' }),
+      Task.countDocuments({ dueDate: { $lt: startOfToday(timeZone) }, status: { $ne: 'completed' } }),
+      Task.distinct('user')
+    ]);
+    return { total, completed, inProgress, pending, highPriority, overdue, usersWithTasks: owners.length };
+  } catch (error) {
+    // Fallback to in-memory storage
+    const tasks = Array.from(inMemoryTasks.values());
+    return {
+      ...summarizeTasks(tasks, timeZone),
+      usersWithTasks: new Set(tasks.map(task => String(task.user))).size
+    };
+  }
+};
+
+// Helper function to send a filtered, paginated list of a user's tasks
+const sendTaskList = async (res, userId, query) => {
+  const { status, priority, category, search } = query;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+  const sort = TASK_SORT_ORDERS.includes(query.sort) ? query.sort : '-createdAt';
+  
+  // Build filter object
+  const filter = {};
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (category) filter.category = category;
+  if (search) filter.search = search;
+  
+  // Get tasks
+  const tasks = await findUserTasks(userId, filter, sort);
+  
+  // Implement pagination for in-memory storage
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const paginatedTasks = tasks.slice(startIndex, endIndex);
+  
+  res.json({
+    success: true,
+    data: {
+      tasks: paginatedTasks,
+      pagination: {
+        current: page,
+        total: Math.ceil(tasks.length / limit),
+        count: paginatedTasks.length,
+        totalTasks: tasks.length
+      }
+    }
+  });
+};
+
 // @route   GET /api/tasks
 // @desc    Get user tasks with filtering and search
-// @access  Private
-router.get('/', authenticate, async (req, res) => {
+// @access  Private (tasks:read)
+router.get('/', authenticate, requireScope('tasks:read'), requirePermission('tasks:read'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { status, priority, category, search, page = 1, limit = 10 } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (category) filter.category = category;
-    if (search) filter.search = search;
-    
-    // Get tasks
-    const tasks = await findUserTasks(req.user.id, filter);
-    
-    // Implement pagination for in-memory storage
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedTasks = tasks.slice(startIndex, endIndex);
-    
-    res.json({
-      success: true,
-      data: {
-        tasks: paginatedTasks,
-        pagination: {
-          current: parseInt(page),
-          total: Math.ceil(tasks.length / limit),
-          count: paginatedTasks.length,
-          totalTasks: tasks.length
-        }
-      }
-    });
+    await sendTaskList(res, req.user.id, req.query);
   } catch (error) {
     console.error('Get tasks error:', error);
     res.status(500).json({
@@ -166,10 +264,25 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/tasks/users/:userId
+// @desc    Get another user's tasks with filtering and search
+// @access  Private (tasks:read:any)
+router.get('/users/:userId', authenticate, requireScope('tasks:read'), requirePermission('tasks:read:any'), requireVerifiedEmail, async (req, res) => {
+  try {
+    await sendTaskList(res, req.params.userId, req.query);
+  } catch (error) {
+    console.error('Get user tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching tasks'
+    });
+  }
+});
+
 // @route   POST /api/tasks
 // @desc    Create new task
-// @access  Private
-router.post('/', authenticate, validate(createTaskSchema), async (req, res) => {
+// @access  Private (tasks:write)
+router.post('/', authenticate, requireScope('tasks:write'), requirePermission('tasks:write'), requireVerifiedEmail, validate(createTaskSchema), async (req, res) => {
   try {
     const taskData = {
       ...req.body,
@@ -206,8 +319,8 @@ router.post('/', authenticate, validate(createTaskSchema), async (req, res) => {
 
 // @route   GET /api/tasks/:id
 // @desc    Get single task
-// @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+// @access  Private (tasks:read)
+router.get('/:id', authenticate, requireScope('tasks:read'), requirePermission('tasks:read'), requireVerifiedEmail, async (req, res) => {
   try {
     const task = await findTaskById(req.params.id, req.user.id);
     
@@ -235,8 +348,8 @@ router.get('/:id', authenticate, async (req, res) => {
 
 // @route   PUT /api/tasks/:id
 // @desc    Update task
-// @access  Private
-router.put('/:id', authenticate, validate(updateTaskSchema), async (req, res) => {
+// @access  Private (tasks:write)
+router.put('/:id', authenticate, requireScope('tasks:write'), requirePermission('tasks:write'), requireVerifiedEmail, validate(updateTaskSchema), async (req, res) => {
   try {
     const task = await updateTask(req.params.id, req.user.id, req.body);
     
@@ -275,8 +388,8 @@ router.put('/:id', authenticate, validate(updateTaskSchema), async (req, res) =>
 
 // @route   DELETE /api/tasks/:id
 // @desc    Delete task
-// @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+// @access  Private (tasks:write)
+router.delete('/:id', authenticate, requireScope('tasks:write'), requirePermission('tasks:write'), requireVerifiedEmail, async (req, res) => {
   try {
     const task = await deleteTask(req.params.id, req.user.id);
     
@@ -302,25 +415,13 @@ router.delete('/:id', authenticate, async (req, res) => {
 
 // @route   GET /api/tasks/stats/summary
 // @desc    Get task statistics
-// @access  Private
-router.get('/stats/summary', authenticate, async (req, res) => {
+// @access  Private (tasks:read)
+router.get('/stats/summary', authenticate, requireScope('tasks:read'), requirePermission('tasks:read'), requireVerifiedEmail, async (req, res) => {
   try {
     const tasks = await findUserTasks(req.user.id);
     
-    const stats = {
-      total: tasks.length,
-      completed: tasks.filter(task => task.status === 'completed').length,
-      inProgress: tasks.filter(task => task.status === 'in-progress').length,
-      pending: tasks.filter(task => task.status === 'pending').length,
-      highPriority: tasks.filter(task => task.priority === 'high').length,
-      overdue: tasks.filter(task => 
-        task.dueDate && 
-        new Date(task.dueDate) < new Date() && 
-        task.status !== 'completed'
-      ).length
-    };
-    
-    stats.completionRate = stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+    const stats = summarizeTasks(tasks, req.user.timezone);
+    stats.completionRate = getCompletionRate(stats);
     
     res.json({
       success: true,
@@ -337,4 +438,28 @@ router.get('/stats/summary', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/tasks/stats/system
+// @desc    Get task statistics across all users
+// @access  Private (tasks:read:any)
+router.get('/stats/system', authenticate, requireScope('tasks:read'), requirePermission('tasks:read:any'), requireVerifiedEmail, async (req, res) => {
+  try {
+    // Overdue is judged by the viewer's time zone
+    const stats = await getSystemTaskStats(req.user.timezone);
+    stats.completionRate = getCompletionRate(stats);
+    
+    res.json({
+      success: true,
+      data: {
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Get system task stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching task statistics'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,18 +1,84 @@
 const express = require('express');
 const User = require('../models/User');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validate, updateProfileSchema } = require('../middleware/validation');
+const Task = require('../models/Task');
+const {
+  generateImpersonationToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  authenticate,
+  requirePermission,
+  requireScope,
+  requireSession
+} = require('../middleware/auth');
+const {
+  validate,
+  updateProfileSchema,
+  adminUserActionSchema,
+  updateUserRoleSchema,
+  impersonateSchema,
+  updatePreferencesSchema
+} = require('../middleware/validation');
+const { uploadAvatar } = require('../middleware/upload');
+const { clearLoginFailures } = require('../services/loginAttemptService');
+const { revokeAllUserTokens } = require('../services/tokenRevocationService');
+const { revokeUserRefreshTokens } = require('../services/refreshTokenService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { revokeUserPersonalAccessTokens } = require('../services/personalAccessTokenService');
+const { createPasswordResetToken, sendPasswordResetEmail } = require('../services/passwordResetService');
+const { recordAuditEvent, listAuditEvents } = require('../services/auditLogService');
+const { startImpersonation, toImpersonationResponse } = require('../services/impersonationService');
+const { getPreferences, updatePreferences } = require('../services/preferencesService');
+const {
+  SECURITY_EVENT_TYPES,
+  toSecurityEventResponse,
+  recordSecurityEvent,
+  listSecurityEvents
+} = require('../services/securityEventService');
+const {
+  DATA_EXPORT_LINK_EXPIRE_MINUTES,
+  isInProgress,
+  toExportResponse,
+  getArchiveFileName,
+  findLatestExport,
+  requestDataExport,
+  readExportArchive
+} = require('../services/dataExportService');
+const {
+  toDeletionResponse,
+  scheduleAccountDeletion,
+  listPendingDeletions,
+  registerPurgeHandler
+} = require('../services/accountDeletionService');
+const {
+  getAvatarUrls,
+  getAvatarUrl,
+  resizeAvatar,
+  saveAvatar,
+  deleteAvatar,
+  readAvatarFile
+} = require('../services/avatarService');
+const { COOKIE_AUTH, setAccessCookie, clearAuthCookies } = require('../utils/authCookies');
+const { ROLE_NAMES, getRolePermissions } = require('../config/permissions');
 
 const router = express.Router();
 
+// Sort orders accepted by the admin user list ("-" for descending)
+const USER_SORT_ORDERS = ['name', 'email', 'createdAt', 'lastLogin']
+  .flatMap(field => [field, `-${field}`]);
+
+// Most results returned per page by admin lists
+const MAX_PAGE_SIZE = 100;
+
 // In-memory storage for development (when MongoDB is not available)
 const inMemoryUsers = new Map();
 
 // Helper function to find user (works with or without MongoDB)
-const findUserById = async (id) => {
+const findUserById = async (id, select) => {
   try {
     // Try MongoDB first
-    const user = await User.findById(id);
+    const query = User.findById(id);
+    if (select) query.select(select);
+    const user = await query;
     return user;
   } catch (error) {
     // Fallback to in-memory storage
@@ -47,10 +113,142 @@ const updateUser = async (id, updateData) => {
   }
 };
 
+// Remove a purged account's avatar files and in-memory copy
+// (accountDeletionService deletes the MongoDB user)
+registerPurgeHandler(async ({ userId }) => {
+  const user = await findUserById(userId);
+  if (user && user.avatarId) {
+    await deleteAvatar(user.avatarId);
+  }
+
+  for (const [email, inMemoryUser] of inMemoryUsers.entries()) {
+    if (inMemoryUser._id == userId) {
+      inMemoryUsers.delete(email);
+    }
+  }
+});
+
+// Helper function to strip private fields and add the user's permissions
+const toUserResponse = (user) => {
+  const userResponse = user.getPublicProfile ? user.getPublicProfile() : { ...user };
+  User.PRIVATE_FIELDS.forEach(field => delete userResponse[field]);
+  userResponse.permissions = getRolePermissions(userResponse.role);
+  return userResponse;
+};
+
+// Helper function to read page and limit from the query string
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit };
+};
+
+// Helper function to read an optional date from the query string.
+// Returns undefined when it's missing and null when it isn't a valid date.
+const parseQueryDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to make user input safe to use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to search users for the admin list (works with or without MongoDB)
+const searchUsers = async (filter, { sort, page, limit }) => {
+  const sortField = sort.replace(/^-/, '');
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const searchRegex = filter.search ? new RegExp(escapeRegExp(filter.search), 'i') : null;
+
+  try {
+    // Try MongoDB first
+    const conditions = [];
+    if (searchRegex) {
+      conditions.push({ $or: [{ name: searchRegex }, { email: searchRegex }] });
+    }
+    if (filter.role) conditions.push({ role: filter.role });
+    if (filter.isActive !== undefined) conditions.push({ isActive: filter.isActive });
+    if (filter.lastLoginAfter) conditions.push({ lastLogin: { $gte: filter.lastLoginAfter } });
+    if (filter.lastLoginBefore) {
+      // Users who have never signed in count as inactive since any date
+      conditions.push({ $or: [{ lastLogin: null }, { lastLogin: { $lt: filter.lastLoginBefore } }] });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ [sortField]: direction, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    return { users: users.map(toUserResponse), total };
+  } catch (error) {
+    // Fallback to in-memory storage
+    const users = Array.from(inMemoryUsers.values())
+      .filter(user => !searchRegex || searchRegex.test(user.name) || searchRegex.test(user.email))
+      .filter(user => !filter.role || user.role === filter.role)
+      .filter(user => filter.isActive === undefined || user.isActive === filter.isActive)
+      .filter(user => !filter.lastLoginAfter || (user.lastLogin && user.lastLogin >= filter.lastLoginAfter))
+      .filter(user => !filter.lastLoginBefore || !user.lastLogin || user.lastLogin < filter.lastLoginBefore)
+      .sort((a, b) => (a[sortField] > b[sortField] ? direction : a[sortField] < b[sortField] ? -direction : 0));
+
+    return {
+      users: users.slice((page - 1) * limit, page * limit).map(toUserResponse),
+      total: users.length
+    };
+  }
+};
+
+// Helper function to count a user's tasks by status
+const countUserTasks = async (userId) => {
+  const counts = { total: 0, pending: 0, 'in-progress': 0, completed: 0 };
+
+  try {
+    // Try MongoDB first
+    const stats = await Task.getTaskStats(userId);
+    stats.forEach(({ _id: status, count }) => {
+      counts[status] = count;
+      counts.total += count;
+    });
+  } catch (error) {
+    // In-memory tasks are only visible to the tasks router, report zero counts
+  }
+
+  return counts;
+};
+
+// Helper function to sign a user out of every session and token,
+// personal access tokens included
+const signOutEverywhere = async (userId) => {
+  await revokeAllUserTokens(userId);
+  await revokeUserRefreshTokens(userId);
+  await revokeUserSessions(userId);
+  await revokeUserPersonalAccessTokens(userId);
+};
+
+// Helper function to check whether a role has any permission the caller lacks
+const grantsMoreThan = (req, role) => getRolePermissions(role)
+  .some(permission => !req.user.permissions.includes(permission));
+
+// Helper function to record an admin action on a user account
+const auditUserAction = (req, action, target, details = {}) => {
+  const reason = req.body?.reason;
+
+  return recordAuditEvent({
+    action,
+    actor: req.user,
+    target,
+    details: reason ? { ...details, reason } : details,
+    ip: req.ip
+  });
+};
+
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
-router.get('/profile', authenticate, async (req, res) => {
+router.get('/profile', authenticate, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await findUserById(req.user.id);
     
@@ -64,6 +262,7 @@ router.get('/profile', authenticate, async (req, res) => {
     // Remove password from response
     const userResponse = user.getPublicProfile ? user.getPublicProfile() : { ...user };
     delete userResponse.password;
+    userResponse.permissions = getRolePermissions(userResponse.role);
 
     res.json({
       success: true,
@@ -83,14 +282,25 @@ router.get('/profile', authenticate, async (req, res) => {
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', authenticate, validate(updateProfileSchema), async (req, res) => {
+router.put('/profile', authenticate, requireSession, validate(updateProfileSchema), async (req, res) => {
   try {
-    const { name, avatar } = req.body;
+    const { name, avatar, bio, timezone, locale, dateFormat, workingHours } = req.body;
     
     // Prepare update data
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (avatar !== undefined) updateData.avatar = avatar;
+    if (bio !== undefined) updateData.bio = bio;
+    if (timezone !== undefined) updateData.timezone = timezone;
+    if (locale !== undefined) updateData.locale = locale;
+    if (dateFormat !== undefined) updateData.dateFormat = dateFormat;
+    if (workingHours !== undefined) updateData.workingHours = workingHours;
+
+    // Linking an avatar (or clearing it) replaces any uploaded one
+    const currentUser = await findUserById(req.user.id);
+    const replacesUpload = currentUser?.avatarId && avatar !== undefined &&
+      avatar !== currentUser.avatar;
+    if (replacesUpload) updateData.avatarId = null;
 
     // Update user
     const updatedUser = await updateUser(req.user.id, updateData);
@@ -102,11 +312,21 @@ router.put('/profile', authenticate, validate(updateProfileSchema), async (req,
       });
     }
 
+    if (replacesUpload) {
+      await deleteAvatar(currentUser.avatarId);
+    }
+
+    recordSecurityEvent(req, {
+      type: 'profile.updated',
+      user: updatedUser,
+      details: { fields: Object.keys(updateData).filter(field => field !== 'avatarId') }
+    });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user: updatedUser
+        user: { ...updatedUser, permissions: getRolePermissions(updatedUser.role) }
       }
     });
   } catch (error) {
@@ -131,7 +351,7 @@ router.put('/profile', authenticate, validate(updateProfileSchema), async (req,
 // @route   GET /api/users/stats
 // @desc    Get user statistics
 // @access  Private
-router.get('/stats', authenticate, async (req, res) => {
+router.get('/stats', authenticate, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await findUserById(req.user.id);
     
@@ -165,61 +385,877 @@ router.get('/stats', authenticate, async (req, res) => {
 });
 
 // @route   DELETE /api/users/profile
-// @desc    Deactivate user account
+// @desc    Schedule the user's account for permanent deletion after a grace period
 // @access  Private
-router.delete('/profile', authenticate, async (req, res) => {
+router.delete('/profile', authenticate, requireSession, async (req, res) => {
   try {
-    const updatedUser = await updateUser(req.user.id, { isActive: false });
-    
-    if (!updatedUser) {
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const deletion = await scheduleAccountDeletion(user);
+
+    recordSecurityEvent(req, {
+      type: 'account.deletion_requested',
+      user,
+      details: { scheduledFor: deletion.scheduledFor }
+    });
+
+    // Signing in again before the deletion date cancels it
+    await signOutEverywhere(user._id);
+    if (COOKIE_AUTH) clearAuthCookies(res);
+
     res.json({
       success: true,
-      message: 'Account deactivated successfully'
+      message: 'Account scheduled for deletion',
+      data: {
+        scheduledFor: deletion.scheduledFor
+      }
     });
   } catch (error) {
-    console.error('Deactivate account error:', error);
+    console.error('Delete account error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error deactivating account'
+      message: 'Server error deleting account'
     });
   }
 });
 
-// @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
-router.get('/', authenticate, authorize('admin'), async (req, res) => {
+// @route   POST /api/users/avatar
+// @desc    Upload an avatar image, resized to the standard sizes
+// @access  Private
+router.post('/avatar', authenticate, requireSession, uploadAvatar, async (req, res) => {
   try {
-    let users;
-    
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let images;
     try {
-      // Try MongoDB first
-      users = await User.find({ isActive: true }).select('-password');
+      images = await resizeAvatar(req.file.buffer);
     } catch (error) {
-      // Fallback to in-memory storage
-      users = Array.from(inMemoryUsers.values())
-        .filter(user => user.isActive)
-        .map(({ password, ...user }) => user);
+      return res.status(400).json({
+        success: false,
+        message: 'Avatar must be a JPEG, PNG, WebP or GIF image'
+      });
+    }
+
+    const avatarId = await saveAvatar(user._id, images);
+    const updatedUser = await updateUser(user._id, {
+      avatar: getAvatarUrl(avatarId),
+      avatarId
+    });
+
+    // Remove the previous upload only once the new one is in place
+    if (user.avatarId) {
+      await deleteAvatar(user.avatarId);
     }
 
     res.json({
       success: true,
+      message: 'Avatar uploaded successfully',
       data: {
-        users,
-        total: users.length
+        user: { ...updatedUser, permissions: getRolePermissions(updatedUser.role) },
+        avatarUrls: getAvatarUrls(avatarId)
       }
     });
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('Upload avatar error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching users'
+      message: 'Server error uploading avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/users/avatar
+// @desc    Remove the user's avatar
+// @access  Private
+router.delete('/avatar', authenticate, requireSession, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const updatedUser = await updateUser(user._id, { avatar: null, avatarId: null });
+
+    if (user.avatarId) {
+      await deleteAvatar(user.avatarId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: {
+        user: { ...updatedUser, permissions: getRolePermissions(updatedUser.role) }
+      }
+    });
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing avatar'
+    });
+  }
+});
+
+// @route   GET /api/users/avatars/:file
+// @desc    Serve an uploaded avatar image
+// @access  Public
+router.get('/avatars/:file', async (req, res) => {
+  try {
+    const image = await readAvatarFile(req.params.file);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found'
+      });
+    }
+
+    // Avatar URLs change with every upload, so browsers and CDNs can keep them
+    // forever. The frontend runs on another origin, so allow it to embed them.
+    res.set({
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(image);
+  } catch (error) {
+    console.error('Serve avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching avatar'
+    });
+  }
+});
+
+// @route   GET /api/users/preferences
+// @desc    Get the user's preferences
+// @access  Private
+router.get('/preferences', authenticate, requireScope('profile:read'), async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        preferences
+      }
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching preferences'
+    });
+  }
+});
+
+// @route   PATCH /api/users/preferences
+// @desc    Change some of the user's preferences
+// @access  Private
+router.patch('/preferences', authenticate, requireSession, validate(updatePreferencesSchema), async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Preferences saved',
+      data: {
+        preferences
+      }
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving preferences'
+    });
+  }
+});
+
+// Helper function to shape a data export, with a fresh download link once it's ready
+const toDataExportResponse = (record, userId) => {
+  const downloadToken = toExportResponse(record).status === 'ready'
+    ? generatePurposeToken(
+      { id: String(userId), exportId: record._id },
+      'data-export',
+      `${DATA_EXPORT_LINK_EXPIRE_MINUTES}m`
+    )
+    : null;
+
+  return toExportResponse(record, downloadToken);
+};
+
+// @route   GET /api/users/me/security-events
+// @desc    Page through the user's own security activity (sign-ins, password and profile changes), newest first
+// @access  Private
+router.get('/me/security-events', authenticate, requireSession, async (req, res) => {
+  try {
+    const { type, outcome } = req.query;
+    const { page, limit } = getPagination(req.query);
+
+    const { events, total } = await listSecurityEvents({ user: req.user.id, type, outcome, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(toSecurityEventResponse),
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: events.length,
+          totalEvents: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching security activity'
+    });
+  }
+});
+
+// @route   GET /api/users/data-export
+// @desc    Get the user's latest data export and, once it's ready, a download link
+// @access  Private
+router.get('/data-export', authenticate, requireSession, async (req, res) => {
+  try {
+    const record = await findLatestExport(req.user.id);
+
+    // Admins impersonating the user can see the status but not download the data
+    const dataExport = record && (req.auth.impersonation
+      ? toExportResponse(record)
+      : toDataExportResponse(record, req.user.id));
+
+    res.json({
+      success: true,
+      data: {
+        dataExport
+      }
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching data export'
+    });
+  }
+});
+
+// @route   POST /api/users/data-export
+// @desc    Start building an archive of the user's data in the background
+// @access  Private
+router.post('/data-export', authenticate, requireSession, async (req, res) => {
+  try {
+    const latest = await findLatestExport(req.user.id);
+
+    if (isInProgress(latest)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your data export is already being prepared'
+      });
+    }
+
+    const user = await findUserById(req.user.id, '+passkeys');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const record = await requestDataExport(user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared',
+      data: {
+        dataExport: toExportResponse(record)
+      }
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting data export'
+    });
+  }
+});
+
+// @route   GET /api/users/data-export/download
+// @desc    Download a data export archive using a signed, time-limited link
+// @access  Public
+router.get('/data-export/download', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(String(req.query.token || ''), 'data-export');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const archive = await readExportArchive(decoded.exportId);
+
+    // The link only works for the user who requested the export
+    if (!archive || String(archive.record.user) !== decoded.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found or no longer available'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${getArchiveFileName(archive.record)}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(archive.data);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading data export'
+    });
+  }
+});
+
+// @route   GET /api/users
+// @desc    Search and page through all users
+// @access  Private (users:read)
+router.get('/', authenticate, requireSession, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { search, role, status, lastLoginBefore, lastLoginAfter, sort = '-createdAt' } = req.query;
+    const { page, limit } = getPagination(req.query);
+
+    if (role && !ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
+    if (status && !['active', 'inactive', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: active, inactive, all'
+      });
+    }
+
+    if (!USER_SORT_ORDERS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${USER_SORT_ORDERS.join(', ')}`
+      });
+    }
+
+    const filter = {
+      search: search ? String(search).trim() : '',
+      role
+    };
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+
+    for (const [key, value] of Object.entries({ lastLoginBefore, lastLoginAfter })) {
+      if (!value) continue;
+
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `${key} must be a valid date`
+        });
+      }
+      filter[key] = date;
+    }
+
+    const { users, total } = await searchUsers(filter, { sort, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: users.length,
+          totalUsers: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/audit-log
+// @desc    Page through recorded admin actions, newest first
+// @access  Private (audit:read)
+router.get('/audit-log', authenticate, requireSession, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { action, actor, target } = req.query;
+    const { page, limit } = getPagination(req.query);
+
+    const { events, total } = await listAuditEvents({ action, actor, target, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: events.length,
+          totalEvents: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit log'
+    });
+  }
+});
+
+// @route   GET /api/users/security-events
+// @desc    Page through security events across all users, newest first. Filter by
+//          user, email, type, outcome, ip and a from/to date range.
+// @access  Private (audit:read)
+router.get('/security-events', authenticate, requireSession, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { user, email, type, outcome, ip } = req.query;
+    const { page, limit } = getPagination(req.query);
+    const from = parseQueryDate(req.query.from);
+    const to = parseQueryDate(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const { events, total } = await listSecurityEvents({ user, email, type, outcome, ip, from, to, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(toSecurityEventResponse),
+        types: SECURITY_EVENT_TYPES,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          count: events.length,
+          totalEvents: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching security events'
+    });
+  }
+});
+
+// @route   GET /api/users/deletions
+// @desc    List accounts waiting to be deleted, soonest first
+// @access  Private (users:read)
+router.get('/deletions', authenticate, requireSession, requirePermission('users:read'), async (req, res) => {
+  try {
+    const deletions = await listPendingDeletions();
+
+    res.json({
+      success: true,
+      data: {
+        deletions: deletions.map(toDeletionResponse)
+      }
+    });
+  } catch (error) {
+    console.error('List account deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching account deletions'
+    });
+  }
+});
+
+// @route   GET /api/users/roles
+// @desc    List the roles users can be given and their permissions
+// @access  Private (users:read)
+router.get('/roles', authenticate, requireSession, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLE_NAMES.map(name => ({ name, permissions: getRolePermissions(name) }))
+    }
+  });
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user's account details and task counts
+// @access  Private (users:read)
+router.get('/:id', authenticate, requireSession, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const taskCounts = await countUserTasks(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user: toUserResponse(user),
+        taskCounts
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (users:manage)
+router.put('/:id/role', authenticate, requireSession, requirePermission('users:manage'), validate(updateUserRoleSchema), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    // Stops admins from demoting themselves and leaving nobody in charge
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Nobody can hand out, or take away, permissions they don't hold themselves
+    if (grantsMoreThan(req, role) || grantsMoreThan(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change roles with permissions you do not have'
+      });
+    }
+
+    const previousRole = user.role;
+    let updatedUser = user;
+
+    if (role !== previousRole) {
+      updatedUser = await updateUser(user._id, { role });
+      await auditUserAction(req, 'user.role_changed', user, { from: previousRole, to: role });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        user: toUserResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/deactivate
+// @desc    Deactivate a user's account and sign them out everywhere
+// @access  Private (users:manage)
+router.post('/:id/deactivate', authenticate, requireSession, requirePermission('users:manage'), validate(adminUserActionSchema), async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account here'
+      });
+    }
+
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already deactivated'
+      });
+    }
+
+    const updatedUser = await updateUser(user._id, { isActive: false });
+    await signOutEverywhere(user._id);
+    await auditUserAction(req, 'user.deactivated', user);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated successfully',
+      data: {
+        user: toUserResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Admin deactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating account'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/reactivate
+// @desc    Reactivate a deactivated account
+// @access  Private (users:manage)
+router.post('/:id/reactivate', authenticate, requireSession, requirePermission('users:manage'), validate(adminUserActionSchema), async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already active'
+      });
+    }
+
+    const updatedUser = await updateUser(user._id, { isActive: true });
+    await auditUserAction(req, 'user.reactivated', user);
+
+    res.json({
+      success: true,
+      message: 'Account reactivated successfully',
+      data: {
+        user: toUserResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Reactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reactivating account'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Invalidate a user's password, sign them out and email them a reset link
+// @access  Private (users:manage)
+router.post('/:id/force-password-reset', authenticate, requireSession, requirePermission('users:manage'), validate(adminUserActionSchema), async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivate the account before resetting its password'
+      });
+    }
+
+    // Password login stays blocked until the user sets a new password
+    const { token, fields } = createPasswordResetToken();
+    const updatedUser = await updateUser(user._id, { ...fields, passwordResetRequired: true });
+    await signOutEverywhere(user._id);
+
+    try {
+      await sendPasswordResetEmail(user, token, { forced: true });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    await auditUserAction(req, 'user.password_reset_forced', user);
+
+    res.json({
+      success: true,
+      message: 'Password reset required. The user has been signed out and emailed a reset link.',
+      data: {
+        user: toUserResponse(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error forcing password reset'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Start a time-limited session as another user
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', authenticate, requireSession, requirePermission('users:impersonate'), validate(impersonateSchema), async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated account'
+      });
+    }
+
+    // Impersonating someone must never grant permissions the admin doesn't already have
+    if (grantsMoreThan(req, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot impersonate a user with permissions you do not have'
+      });
+    }
+
+    const impersonation = await startImpersonation({
+      admin: req.user,
+      user,
+      reason: req.body.reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    const token = generateImpersonationToken(impersonation);
+
+    await auditUserAction(req, 'impersonation.started', user, {
+      impersonationId: impersonation._id,
+      expiresAt: impersonation.expiresAt
+    });
+
+    // In cookie mode only the access cookie changes. The admin's refresh
+    // cookie is kept so the frontend can return to the admin's own session.
+    const data = { impersonation: toImpersonationResponse(impersonation) };
+    if (COOKIE_AUTH) {
+      data.expiresAt = setAccessCookie(res, token);
+    } else {
+      data.token = token;
+    }
+
+    res.json({
+      success: true,
+      message: `You are now viewing the app as ${user.name}`,
+      data
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting impersonation'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed logins and lift a lockout on an account
+// @access  Private (users:manage)
+router.post('/:id/unlock', authenticate, requireSession, requirePermission('users:manage'), validate(adminUserActionSchema), async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearLoginFailures(user.email);
+    await auditUserAction(req, 'user.unlocked', user);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking account'
     });
   }
 });
@@ -227,12 +1263,12 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
 // Helper function to calculate profile completion percentage
 function calculateProfileCompletion(user) {
   let completedFields = 0;
-  const totalFields = 4; // name, email, avatar, bio (if added later)
+  const totalFields = 4; // name, email, avatar, bio
   
   if (user.name && user.name.trim()) completedFields++;
   if (user.email && user.email.trim()) completedFields++;
   if (user.avatar) completedFields++;
-  // Add more fields as needed
+  if (user.bio && user.bio.trim()) completedFields++;
   
   return Math.round((completedFields / totalFields) * 100);
 }
@@ -0,0 +1,42 @@
+// Generate a new JWT signing key in JWT_KEYS_DIR (default backend/keys).
+//
+//   npm run generate-signing-key
+//
+// The key type follows JWT_ALGORITHM (RS256 or ES256). The newest key signs new
+// tokens once the server restarts, while older keys keep verifying the tokens
+// they signed. To rotate across several servers, copy the new key to all of
+// them with JWT_ACTIVE_KID pinned to the old key, then switch JWT_ACTIVE_KID.
+// To retire a key, replace its file with the public key only:
+//
+//   openssl pkey -in keys/<kid>.pem -pubout -out keys/<kid>.pem.pub && mv keys/<kid>.pem.pub keys/<kid>.pem
+//
+// and delete it once the access tokens it signed have expired.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JWT_ALGORITHM, JWT_KEYS_DIR } = require('../config/jwtKeys');
+
+const KEY_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+if (!KEY_OPTIONS[JWT_ALGORITHM]) {
+  console.error('Set JWT_ALGORITHM to RS256 or ES256 before generating signing keys.');
+  process.exit(1);
+}
+
+const [type, options] = KEY_OPTIONS[JWT_ALGORITHM];
+const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+// Date first, so sorting key IDs puts the newest key last
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+const file = path.join(JWT_KEYS_DIR, `${kid}.pem`);
+
+fs.mkdirSync(JWT_KEYS_DIR, { recursive: true, mode: 0o700 });
+fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`🔑 Created ${JWT_ALGORITHM} signing key ${kid} in ${file}`);
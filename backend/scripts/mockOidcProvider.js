@@ -0,0 +1,186 @@
+// Minimal OpenID Connect provider for trying out SSO login locally.
+// It signs every user in without a password, so never expose it publicly.
+//
+//   npm run mock-idp
+//
+// Then start the backend with:
+//   OIDC_ISSUER=http://localhost:5556
+//   OIDC_CLIENT_ID=taskmaster
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 5556;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'taskmaster';
+
+// Authorization codes are single use and short-lived
+const CODE_LIFETIME = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomUUID();
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  req.on('error', reject);
+});
+
+// Login page: pick who to sign in as
+const renderLoginPage = (res, params) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('');
+
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+    <h2>Mock Identity Provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="email" value="sso.user@example.com" required></label></p>
+      <p><label>Name<br><input name="name" value="SSO User"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <p>
+        <button type="submit">Sign in</button>
+        <button type="submit" name="deny" value="1">Deny</button>
+      </p>
+    </form>
+  </body>
+</html>`);
+};
+
+const handleAuthorize = async (req, res) => {
+  const form = await readForm(req);
+  const redirect = new URL(form.redirect_uri);
+
+  if (form.state) redirect.searchParams.set('state', form.state);
+
+  if (form.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+  } else {
+    const code = crypto.randomBytes(24).toString('base64url');
+    authorizationCodes.set(code, {
+      clientId: form.client_id,
+      redirectUri: form.redirect_uri,
+      nonce: form.nonce,
+      codeChallenge: form.code_challenge,
+      expiresAt: Date.now() + CODE_LIFETIME,
+      claims: {
+        sub: crypto.createHash('sha256').update(form.email.toLowerCase()).digest('hex').slice(0, 24),
+        email: form.email,
+        email_verified: form.email_verified === 'on',
+        name: form.name
+      }
+    });
+    redirect.searchParams.set('code', code);
+  }
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  const grant = authorizationCodes.get(form.code);
+  authorizationCodes.delete(form.code);
+
+  if (form.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  if (form.client_id !== CLIENT_ID || form.client_id !== grant.clientId ||
+      form.redirect_uri !== grant.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_client' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  sendJson(res, 200, {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    id_token: idToken,
+    expires_in: 300
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      const jwk = publicKey.export({ format: 'jwk' });
+      return sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return renderLoginPage(res, url.searchParams);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await handleAuthorize(req, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const claims = accessTokens.get(token);
+      return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock IdP error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER} (client ID: ${CLIENT_ID})`);
+});
@@ -0,0 +1,213 @@
+// Software WebAuthn authenticator for trying out passkeys without hardware.
+// It keeps its keys in memory and does no user verification of its own, so
+// only use it against development servers.
+//
+//   npm run passkey-demo -- <email> <password>
+//
+// This signs in with the password, registers a passkey, signs in with the
+// passkey and checks that a replayed login is rejected. The backend must run
+// with AUTH_MODE=header. Set API_URL and WEBAUTHN_ORIGIN if they differ from
+// the defaults below.
+//
+// The authenticator can also be required from other scripts:
+//   const { createSoftwareAuthenticator } = require('./softwareAuthenticator');
+
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const API_URL = process.env.API_URL || 'http://localhost:5000/api';
+const ORIGIN = process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const encodeClientData = (type, challenge, origin) => Buffer.from(JSON.stringify({
+  type,
+  challenge,
+  origin,
+  crossOrigin: false
+}));
+
+// rpIdHash | flags | signCount [| attested credential data]
+const buildAuthenticatorData = (rpId, flags, signCount, attestedCredential = Buffer.alloc(0)) => {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(signCount);
+  return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attestedCredential]);
+};
+
+// P-256 public key in COSE format (kty EC2, alg ES256, crv P-256)
+const toCoseKey = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  return isoCBOR.encode(new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, isoBase64URL.toBuffer(jwk.x)],
+    [-3, isoBase64URL.toBuffer(jwk.y)]
+  ]));
+};
+
+const createSoftwareAuthenticator = ({ origin = ORIGIN } = {}) => {
+  const credentials = new Map();
+
+  // Answer navigator.credentials.create() options with a "none" attestation
+  const createCredential = (options) => {
+    const credentialId = crypto.randomBytes(16);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attestedCredential = Buffer.concat([
+      Buffer.alloc(16), // AAGUID (all zeros for software authenticators)
+      idLength,
+      credentialId,
+      Buffer.from(toCoseKey(publicKey))
+    ]);
+
+    const authenticatorData = buildAuthenticatorData(
+      options.rp.id,
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL,
+      0,
+      attestedCredential
+    );
+
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authenticatorData]
+    ]));
+
+    const id = isoBase64URL.fromBuffer(credentialId);
+    credentials.set(id, {
+      privateKey,
+      rpId: options.rp.id,
+      userHandle: options.user.id,
+      signCount: 0
+    });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: isoBase64URL.fromBuffer(encodeClientData('webauthn.create', options.challenge, origin)),
+        attestationObject: isoBase64URL.fromBuffer(attestationObject),
+        transports: ['internal']
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {}
+    };
+  };
+
+  // Answer navigator.credentials.get() options, bumping the sign count each time
+  const getAssertion = (options) => {
+    const allowed = (options.allowCredentials || []).map(credential => credential.id);
+    const match = [...credentials.entries()].find(([id, credential]) =>
+      credential.rpId === options.rpId && (allowed.length === 0 || allowed.includes(id)));
+
+    if (!match) {
+      throw new Error('No matching credential on this authenticator');
+    }
+
+    const [id, credential] = match;
+    credential.signCount += 1;
+
+    const authenticatorData = buildAuthenticatorData(
+      credential.rpId,
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED,
+      credential.signCount
+    );
+    const clientDataJSON = encodeClientData('webauthn.get', options.challenge, origin);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: isoBase64URL.fromBuffer(clientDataJSON),
+        authenticatorData: isoBase64URL.fromBuffer(authenticatorData),
+        signature: isoBase64URL.fromBuffer(signature),
+        userHandle: credential.userHandle
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {}
+    };
+  };
+
+  return { createCredential, getAssertion };
+};
+
+// Helper function to POST to the API and return the status with the JSON body
+const request = async (path, body, token) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body)
+  });
+  const json = await response.json();
+  return { status: response.status, ...json };
+};
+
+const runDemo = async (email, password) => {
+  const authenticator = createSoftwareAuthenticator();
+
+  const login = await request('/auth/login', { email, password });
+  if (!login.success || !login.data.token) {
+    throw new Error(`Password login failed: ${login.message}`);
+  }
+  console.log(`✅ Signed in as ${login.data.user.email} with a password`);
+
+  const registration = await request('/auth/passkeys/register/options', {}, login.data.token);
+  const registered = await request('/auth/passkeys/register/verify', {
+    challengeToken: registration.data.challengeToken,
+    response: authenticator.createCredential(registration.data.options),
+    name: 'Software authenticator'
+  }, login.data.token);
+  if (!registered.success) {
+    throw new Error(`Passkey registration failed: ${registered.message}`);
+  }
+  console.log(`✅ Registered passkey "${registered.data.passkey.name}"`);
+
+  const challenge = await request('/auth/passkeys/login/options', {});
+  const assertion = authenticator.getAssertion(challenge.data.options);
+  const passkeyLogin = await request('/auth/passkeys/login/verify', {
+    challengeToken: challenge.data.challengeToken,
+    response: assertion
+  });
+  if (!passkeyLogin.success) {
+    throw new Error(`Passkey login failed: ${passkeyLogin.message}`);
+  }
+  console.log(`✅ Signed in as ${passkeyLogin.data.user.email} with the passkey`);
+
+  const replay = await request('/auth/passkeys/login/verify', {
+    challengeToken: challenge.data.challengeToken,
+    response: assertion
+  });
+  console.log(replay.success
+    ? '❌ Replayed passkey login was accepted'
+    : `✅ Replayed passkey login was rejected (${replay.status}: ${replay.message})`);
+};
+
+if (require.main === module) {
+  const [email, password] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run passkey-demo -- <email> <password>');
+    process.exit(1);
+  }
+
+  runDemo(email, password).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSoftwareAuthenticator };
@@ -6,12 +6,23 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { initSigningKeys, getJwks } = require('./config/jwtKeys');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const { startPurgeSchedule } = require('./services/accountDeletionService');
 
 const app = express();
 
+// Refuse to start with missing or insecure token signing settings
+let signingMode;
+try {
+  signingMode = initSigningKeys();
+} catch (error) {
+  console.error(`❌ Token signing configuration error: ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to MongoDB
 connectDB();
 
@@ -42,6 +53,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tasks', taskRoutes);
 
+// Public keys other services use to verify our tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -97,6 +114,10 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`🔏 Token signing: ${signingMode}`);
+
+  // Permanently remove accounts whose deletion grace period has ended
+  startPurgeSchedule();
 });
 
 module.exports = app;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const AccountDeletion = require('../models/AccountDeletion');
+const User = require('../models/User');
+const { deleteUserSessions } = require('./sessionService');
+const { deleteUserRefreshTokens } = require('./refreshTokenService');
+const { deleteUserPersonalAccessTokens } = require('./personalAccessTokenService');
+const { deleteUserRevocations } = require('./tokenRevocationService');
+const { deletePreferences } = require('./preferencesService');
+const { deleteUserDataExports } = require('./dataExportService');
+const { clearLoginFailures } = require('./loginAttemptService');
+const { deleteUserSecurityEvents } = require('./securityEventService');
+
+// Days between a deletion request and the purge. Signing in before then cancels it.
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// How often to look for accounts that are due to be purged
+const ACCOUNT_PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryDeletions = new Map();
+
+// Functions that remove a purged user from stores kept outside this module,
+// such as the routers' in-memory storage. Each receives { userId, email }.
+const purgeHandlers = [];
+
+// Shape a deletion request for API responses
+const toDeletionResponse = (record) => ({
+  id: record._id,
+  user: {
+    id: record.user,
+    email: record.email,
+    name: record.name
+  },
+  requestedAt: record.requestedAt,
+  scheduledFor: record.scheduledFor
+});
+
+// A user's pending deletion request, or null
+const findPendingDeletion = async (userId) => {
+  try {
+    // Try MongoDB first
+    return await AccountDeletion.findOne({ user: userId }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    return inMemoryDeletions.get(String(userId)) || null;
+  }
+};
+
+// Schedule a user's account for deletion after the grace period. Asking again
+// while a deletion is pending keeps the original date.
+const scheduleAccountDeletion = async (user) => {
+  const existing = await findPendingDeletion(user._id);
+  if (existing) {
+    return existing;
+  }
+
+  const data = {
+    user: user._id,
+    email: user.email,
+    name: user.name,
+    scheduledFor: new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  try {
+    // Try MongoDB first
+    return (await AccountDeletion.create(data)).toObject();
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = {
+      _id: crypto.randomUUID(),
+      ...data,
+      user: String(user._id),
+      requestedAt: new Date()
+    };
+    inMemoryDeletions.set(record.user, record);
+    return record;
+  }
+};
+
+// Cancel a user's pending deletion. Returns true if there was one.
+const cancelAccountDeletion = async (userId) => {
+  try {
+    // Try MongoDB first
+    const result = await AccountDeletion.deleteOne({ user: userId });
+    return result.deletedCount > 0;
+  } catch (error) {
+    // Fallback to in-memory storage
+    return inMemoryDeletions.delete(String(userId));
+  }
+};
+
+// Every pending deletion, soonest first (for admins)
+const listPendingDeletions = async () => {
+  try {
+    // Try MongoDB first
+    return await AccountDeletion.find().sort({ scheduledFor: 1 }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    return Array.from(inMemoryDeletions.values())
+      .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+  }
+};
+
+// Register a function that removes a purged user's data from another store
+const registerPurgeHandler = (handler) => {
+  purgeHandlers.push(handler);
+};
+
+// Permanently remove an account and everything stored about it. Audit log
+// entries are kept; they carry their own copy of the email address.
+const purgeAccount = async (record) => {
+  const userId = record.user;
+  const account = { userId, email: record.email };
+
+  for (const handler of purgeHandlers) {
+    await handler(account);
+  }
+
+  await deleteUserSessions(userId);
+  await deleteUserRefreshTokens(userId);
+  await deleteUserPersonalAccessTokens(userId);
+  await deleteUserRevocations(userId);
+  await deletePreferences(userId);
+  await deleteUserDataExports(userId);
+  await deleteUserSecurityEvents(userId);
+  await clearLoginFailures(record.email);
+
+  try {
+    // Try MongoDB first
+    await User.deleteOne({ _id: userId });
+  } catch (error) {
+    // In-memory users are removed by the routers' purge handlers
+  }
+
+  await cancelAccountDeletion(userId);
+};
+
+// Purge every account whose grace period has ended. Returns how many were purged.
+const purgeDueAccounts = async (now = new Date()) => {
+  const due = (await listPendingDeletions())
+    .filter(record => new Date(record.scheduledFor) <= now);
+  let purged = 0;
+
+  for (const record of due) {
+    try {
+      await purgeAccount(record);
+      purged += 1;
+    } catch (error) {
+      // Leave the request in place so the next run tries again
+      console.error(`Account purge error for user ${record.user}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+// Run purgeDueAccounts now and then every ACCOUNT_PURGE_INTERVAL_MINUTES
+const startPurgeSchedule = () => {
+  const run = () => {
+    purgeDueAccounts()
+      .then(purged => {
+        if (purged > 0) {
+          console.log(`🗑️  Purged ${purged} deleted account${purged === 1 ? '' : 's'}`);
+        }
+      })
+      .catch(error => console.error('Account purge error:', error));
+  };
+
+  run();
+  // Don't keep the process alive just for the schedule
+  return setInterval(run, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  toDeletionResponse,
+  findPendingDeletion,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  listPendingDeletions,
+  registerPurgeHandler,
+  purgeDueAccounts,
+  startPurgeSchedule
+};
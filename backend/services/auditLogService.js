@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryAuditLog = [];
+
+// Record an admin action along with who did it and to whom
+const recordAuditEvent = async ({ action, actor, target = null, details = {}, ip = '' }) => {
+  const entry = {
+    action,
+    actor: actor.id || actor._id,
+    actorEmail: actor.email || '',
+    target: target ? target._id : null,
+    targetEmail: target ? target.email : '',
+    details,
+    ip: ip || ''
+  };
+
+  try {
+    // Try MongoDB first
+    await AuditLog.create(entry);
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryAuditLog.unshift({
+      _id: crypto.randomUUID(),
+      ...entry,
+      actor: String(entry.actor),
+      target: entry.target && String(entry.target),
+      createdAt: new Date()
+    });
+  }
+};
+
+// Page through audit entries, newest first, optionally filtered by
+// action, acting user or affected user
+const listAuditEvents = async ({ action, actor, target, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (action) filter.action = action;
+  if (actor) filter.actor = actor;
+  if (target) filter.target = target;
+
+  try {
+    // Try MongoDB first
+    const [events, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    return { events, total };
+  } catch (error) {
+    // Fallback to in-memory storage
+    const matching = inMemoryAuditLog.filter(event =>
+      Object.entries(filter).every(([key, value]) => String(event[key]) === String(value)));
+    return {
+      events: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length
+    };
+  }
+};
+
+module.exports = {
+  recordAuditEvent,
+  listAuditEvents
+};
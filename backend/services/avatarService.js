@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { saveFile, readFile, removeFile } = require('./storageService');
+
+// Square sizes (in pixels) every uploaded avatar is resized to. The largest one
+// is stored as the user's avatar URL.
+const AVATAR_SIZES = [64, 128, 256];
+
+// Image formats accepted for upload, checked against the file contents
+const AVATAR_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Largest upload accepted, in megabytes
+const AVATAR_MAX_SIZE_MB = parseFloat(process.env.AVATAR_MAX_SIZE_MB) || 5;
+
+// Refuse images with more pixels than this (guards against decompression bombs)
+const AVATAR_MAX_PIXELS = 40 * 1000 * 1000;
+
+// Public address of this API, used to build avatar links
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Stored avatar files are named <avatarId>-<size>.webp
+const AVATAR_FILE_PATTERN = new RegExp(`^[a-zA-Z0-9]+-[a-f0-9]+-(${AVATAR_SIZES.join('|')})\\.webp$`);
+
+const getAvatarKey = (avatarId, size) => `avatars/${avatarId}-${size}.webp`;
+
+// Links to every size of an avatar
+const getAvatarUrls = (avatarId) => Object.fromEntries(
+  AVATAR_SIZES.map(size => [size, `${API_PUBLIC_URL}/api/users/avatars/${avatarId}-${size}.webp`])
+);
+
+// Link stored in the user's avatar field
+const getAvatarUrl = (avatarId) => getAvatarUrls(avatarId)[Math.max(...AVATAR_SIZES)];
+
+// Resize an uploaded image to every avatar size. Throws if the file isn't a
+// supported image. Photos are turned upright using their EXIF orientation, and
+// metadata such as GPS location is dropped.
+const resizeAvatar = async (buffer) => {
+  const { format } = await sharp(buffer, { limitInputPixels: AVATAR_MAX_PIXELS }).metadata();
+
+  if (!AVATAR_FORMATS.includes(format)) {
+    throw new Error(`Unsupported image format: ${format}`);
+  }
+
+  return Promise.all(AVATAR_SIZES.map(async size => ({
+    size,
+    data: await sharp(buffer, { limitInputPixels: AVATAR_MAX_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer()
+  })));
+};
+
+// Store resized avatar images and return the new avatar ID. Every upload gets a
+// fresh ID, so its URLs never change and can be cached forever.
+const saveAvatar = async (userId, images) => {
+  const avatarId = `${userId}-${crypto.randomBytes(8).toString('hex')}`;
+
+  await Promise.all(images.map(({ size, data }) =>
+    saveFile(getAvatarKey(avatarId, size), data, 'image/webp')
+  ));
+
+  return avatarId;
+};
+
+// Delete every size of an avatar
+const deleteAvatar = async (avatarId) => {
+  await Promise.all(AVATAR_SIZES.map(size => removeFile(getAvatarKey(avatarId, size))));
+};
+
+// Read a stored avatar file by name (null for unknown or malformed names)
+const readAvatarFile = async (fileName) => {
+  if (!AVATAR_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+  return readFile(`avatars/${fileName}`);
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  AVATAR_MAX_SIZE_MB,
+  getAvatarUrls,
+  getAvatarUrl,
+  resizeAvatar,
+  saveAvatar,
+  deleteAvatar,
+  readAvatarFile
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const DataExport = require('../models/DataExport');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { saveFile, readFile, removeFile } = require('./storageService');
+const { readAvatarFile, AVATAR_SIZES } = require('./avatarService');
+const { getPreferences } = require('./preferencesService');
+const { listUserSessions } = require('./sessionService');
+const { listPersonalAccessTokens, toTokenResponse } = require('./personalAccessTokenService');
+const { listAuditEvents } = require('./auditLogService');
+const { listSecurityEvents } = require('./securityEventService');
+const { toPasskeyResponse } = require('./passkeyService');
+const { toCsv } = require('../utils/csv');
+
+// Finished archives can be downloaded for this many hours
+const DATA_EXPORT_EXPIRE_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS, 10) || 24;
+
+// Download links stop working after this many minutes (a fresh one is handed
+// out whenever the user checks on their export)
+const DATA_EXPORT_LINK_EXPIRE_MINUTES = parseInt(process.env.DATA_EXPORT_LINK_EXPIRE_MINUTES, 10) || 15;
+
+// An export still pending after this long was interrupted (e.g. by a restart)
+const BUILD_TIMEOUT = 15 * 60 * 1000;
+
+// Public address of this API, used to build download links
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryExports = new Map();
+
+// Lists a user's in-memory tasks, which only the tasks router can see
+let inMemoryTaskExporter = null;
+
+const getArchiveKey = (exportId) => `exports/${exportId}.zip`;
+
+// Pending exports that ran out of time count as failed
+const getStatus = (record) => {
+  if (record.status === 'pending' && Date.now() - new Date(record.createdAt).getTime() > BUILD_TIMEOUT) {
+    return 'failed';
+  }
+  if (record.status === 'ready' && new Date(record.expiresAt).getTime() <= Date.now()) {
+    return 'expired';
+  }
+  return record.status;
+};
+
+const isInProgress = (record) => !!record && getStatus(record) === 'pending';
+
+// Shape an export for API responses. Pass a download token to include a link.
+const toExportResponse = (record, downloadToken = null) => ({
+  id: record._id,
+  status: getStatus(record),
+  size: record.size,
+  createdAt: record.createdAt,
+  completedAt: record.completedAt,
+  expiresAt: record.expiresAt,
+  downloadUrl: downloadToken
+    ? `${API_PUBLIC_URL}/api/users/data-export/download?token=${downloadToken}`
+    : null
+});
+
+// File name offered to the browser when the archive is downloaded
+const getArchiveFileName = (record) => {
+  return `taskmaster-export-${new Date(record.completedAt).toISOString().slice(0, 10)}.zip`;
+};
+
+const findExport = async (exportId) => {
+  try {
+    // Try MongoDB first
+    return await DataExport.findById(exportId).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    return inMemoryExports.get(exportId) || null;
+  }
+};
+
+const updateExport = async (exportId, changes) => {
+  try {
+    // Try MongoDB first
+    await DataExport.updateOne({ _id: exportId }, changes);
+  } catch (error) {
+    // Fallback to in-memory storage
+    Object.assign(inMemoryExports.get(exportId) || {}, changes);
+  }
+};
+
+// A user's most recent export, or null if they never asked for one.
+// Expired archives are deleted from storage when they're found.
+const findLatestExport = async (userId) => {
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = await DataExport.findOne({ user: userId }).sort({ createdAt: -1 }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = Array.from(inMemoryExports.values())
+      .filter(item => item.user === String(userId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  }
+
+  if (record && record.storageKey && getStatus(record) === 'expired') {
+    await removeFile(record.storageKey);
+    await updateExport(record._id, { storageKey: null });
+    record = { ...record, storageKey: null };
+  }
+
+  return record;
+};
+
+// Delete a user's exports and their archives, except the one to keep (if any)
+const removePreviousExports = async (userId, keepExportId = null) => {
+  let records;
+
+  try {
+    // Try MongoDB first
+    records = await DataExport.find({ user: userId, _id: { $ne: keepExportId } }).lean();
+    await DataExport.deleteMany({ _id: { $in: records.map(record => record._id) } });
+  } catch (error) {
+    // Fallback to in-memory storage
+    records = Array.from(inMemoryExports.values())
+      .filter(record => record.user === String(userId) && record._id !== keepExportId);
+    records.forEach(record => inMemoryExports.delete(record._id));
+  }
+
+  await Promise.all(records
+    .filter(record => record.storageKey)
+    .map(record => removeFile(record.storageKey)));
+};
+
+// Register the function that lists a user's in-memory tasks, oldest first
+const registerTaskExporter = (exporter) => {
+  inMemoryTaskExporter = exporter;
+};
+
+// Every task the user owns, oldest first
+const findAllUserTasks = async (userId) => {
+  try {
+    // Try MongoDB first
+    return await Task.find({ user: userId }).sort({ createdAt: 1 }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage. Without an exporter the export fails
+    // rather than leaving the user's tasks out of the archive.
+    if (!inMemoryTaskExporter) {
+      throw new Error('In-memory tasks cannot be exported');
+    }
+    return inMemoryTaskExporter(userId);
+  }
+};
+
+// Collect the user's records. Each dataset becomes a JSON file and a CSV file
+// with the listed columns.
+const collectDatasets = async (user) => {
+  const userId = user._id;
+  const { updatedAt: preferencesUpdatedAt, ...preferences } = await getPreferences(userId);
+
+  const profile = user.getPublicProfile ? user.getPublicProfile() : { ...user };
+  User.PRIVATE_FIELDS.forEach(field => delete profile[field]);
+  const { _id, __v, ...profileFields } = profile;
+
+  const tasks = (await findAllUserTasks(userId)).map(task => ({
+    id: task._id,
+    title: task.title,
+    description: task.description || '',
+    status: task.status,
+    priority: task.priority,
+    category: task.category,
+    tags: task.tags || [],
+    dueDate: task.dueDate,
+    completedAt: task.completedAt,
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt
+  }));
+
+  const sessions = (await listUserSessions(userId)).map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt
+  }));
+
+  const { events } = await listAuditEvents({ target: userId, limit: 1000 });
+  const accountActivity = events.map(event => ({
+    action: event.action,
+    details: event.details,
+    createdAt: event.createdAt
+  }));
+
+  const { events: securityEvents } = await listSecurityEvents({ user: userId, limit: 1000 });
+  const securityActivity = securityEvents.map(event => ({
+    type: event.type,
+    outcome: event.outcome,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    details: event.details,
+    createdAt: event.createdAt
+  }));
+
+  return [
+    {
+      name: 'profile',
+      description: 'Your account details',
+      records: [{ id: String(_id), ...profileFields }]
+    },
+    {
+      name: 'tasks',
+      description: 'Every task you have created',
+      records: tasks,
+      columns: ['id', 'title', 'description', 'status', 'priority', 'category', 'tags',
+        'dueDate', 'completedAt', 'createdAt', 'updatedAt']
+    },
+    {
+      name: 'preferences',
+      description: 'Your saved settings, one row per setting',
+      json: { ...preferences, updatedAt: preferencesUpdatedAt },
+      records: Object.entries(preferences).flatMap(([key, value]) =>
+        (value && typeof value === 'object'
+          ? Object.entries(value).map(([name, setting]) => ({ setting: `${key}.${name}`, value: setting }))
+          : [{ setting: key, value }])),
+      columns: ['setting', 'value']
+    },
+    {
+      name: 'sessions',
+      description: 'Devices currently signed in to your account',
+      records: sessions,
+      columns: ['id', 'userAgent', 'ip', 'createdAt', 'lastSeenAt']
+    },
+    {
+      name: 'access-tokens',
+      description: 'Personal access tokens (the tokens themselves are never stored)',
+      records: (await listPersonalAccessTokens(userId)).map(toTokenResponse),
+      columns: ['id', 'name', 'prefix', 'scopes', 'expiresAt', 'lastUsedAt', 'createdAt']
+    },
+    {
+      name: 'passkeys',
+      description: 'Passkeys registered for signing in',
+      records: (user.passkeys || []).map(toPasskeyResponse),
+      columns: ['id', 'name', 'deviceType', 'backedUp', 'createdAt', 'lastUsedAt']
+    },
+    {
+      name: 'account-activity',
+      description: 'Changes administrators made to your account',
+      records: accountActivity,
+      columns: ['action', 'details', 'createdAt']
+    },
+    {
+      name: 'security-activity',
+      description: 'Sign-ins and security changes on your account from the last 90 days',
+      records: securityActivity,
+      columns: ['type', 'outcome', 'ip', 'userAgent', 'details', 'createdAt']
+    }
+  ];
+};
+
+// Build the zip archive: <dataset>.json and <dataset>.csv for every dataset,
+// the avatar image if one was uploaded, and a manifest describing the files
+const buildArchive = async (user) => {
+  const zip = new JSZip();
+  const datasets = await collectDatasets(user);
+  const files = [];
+
+  for (const dataset of datasets) {
+    const columns = dataset.columns ||
+      [...new Set(dataset.records.flatMap(record => Object.keys(record)))];
+
+    zip.file(`${dataset.name}.json`, JSON.stringify(dataset.json || dataset.records, null, 2));
+    zip.file(`${dataset.name}.csv`, toCsv(dataset.records, columns));
+
+    files.push(
+      { path: `${dataset.name}.json`, format: 'json', description: dataset.description, records: dataset.records.length },
+      { path: `${dataset.name}.csv`, format: 'csv', description: dataset.description, records: dataset.records.length }
+    );
+  }
+
+  if (user.avatarId) {
+    const avatar = await readAvatarFile(`${user.avatarId}-${Math.max(...AVATAR_SIZES)}.webp`);
+    if (avatar) {
+      zip.file('avatar.webp', avatar);
+      files.push({ path: 'avatar.webp', format: 'webp', description: 'Your uploaded avatar' });
+    }
+  }
+
+  zip.file('manifest.json', JSON.stringify({
+    application: 'TaskMaster',
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    user: { id: String(user._id), email: user.email },
+    files
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Build and store the archive for an export, marking it ready or failed
+const runDataExport = async (exportId, user) => {
+  try {
+    const archive = await buildArchive(user);
+    const storageKey = getArchiveKey(exportId);
+    await saveFile(storageKey, archive, 'application/zip');
+
+    const completedAt = new Date();
+    await updateExport(exportId, {
+      status: 'ready',
+      storageKey,
+      size: archive.length,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + DATA_EXPORT_EXPIRE_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    await updateExport(exportId, { status: 'failed', completedAt: new Date() });
+  }
+};
+
+// Start exporting a user's data. The archive is built in the background;
+// poll findLatestExport to see when it's ready. Earlier exports are deleted.
+// Pass the user with their passkeys selected so they are included.
+const requestDataExport = async (user) => {
+  const data = { user: user._id };
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = (await DataExport.create(data)).toObject();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = {
+      _id: crypto.randomUUID(),
+      user: String(user._id),
+      status: 'pending',
+      storageKey: null,
+      size: 0,
+      createdAt: new Date(),
+      completedAt: null,
+      expiresAt: null
+    };
+    inMemoryExports.set(record._id, record);
+  }
+
+  await removePreviousExports(user._id, record._id);
+
+  // Not awaited: the request returns while the archive is built
+  runDataExport(record._id, user);
+
+  return record;
+};
+
+// Delete all of a user's exports and archives (used when an account is purged)
+const deleteUserDataExports = (userId) => removePreviousExports(userId);
+
+// Read a finished archive, returning null if the export is unknown, not ready
+// or expired
+const readExportArchive = async (exportId) => {
+  const record = await findExport(exportId);
+
+  if (!record || getStatus(record) !== 'ready') {
+    return null;
+  }
+
+  const data = await readFile(record.storageKey);
+  return data ? { record, data } : null;
+};
+
+module.exports = {
+  DATA_EXPORT_EXPIRE_HOURS,
+  DATA_EXPORT_LINK_EXPIRE_MINUTES,
+  isInProgress,
+  toExportResponse,
+  getArchiveFileName,
+  findLatestExport,
+  requestDataExport,
+  readExportArchive,
+  deleteUserDataExports,
+  registerTaskExporter
+};
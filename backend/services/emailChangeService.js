@@ -0,0 +1,51 @@
+const { sendMail } = require('./mailService');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Email change confirmation links are valid for this many hours
+const EMAIL_CHANGE_EXPIRE_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRE_HOURS, 10) || 24;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Create a confirmation token for a new address. The plain token goes into the
+// email and the returned fields (only its hash) are stored on the user.
+const createEmailChangeToken = (newEmail) => {
+  const token = generateRandomToken(32);
+  return {
+    token,
+    fields: {
+      pendingEmail: newEmail,
+      emailChangeToken: hashToken(token),
+      emailChangeExpires: new Date(Date.now() + EMAIL_CHANGE_EXPIRE_HOURS * 60 * 60 * 1000)
+    }
+  };
+};
+
+// Email the confirmation link to the new address, and let the current
+// address know a change was requested in case it wasn't the account owner
+const sendEmailChangeEmails = async (user, newEmail, token) => {
+  const confirmUrl = `${FRONTEND_URL}/confirm-email-change?token=${token}`;
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new TaskMaster email address',
+    text: `Hi ${user.name},\n\n` +
+      `Open the link below to start using this address for your TaskMaster account. ` +
+      `It expires in ${EMAIL_CHANGE_EXPIRE_HOURS} hours.\n\n` +
+      `${confirmUrl}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your TaskMaster email address is being changed',
+    text: `Hi ${user.name},\n\n` +
+      `Someone asked to change the email address on your TaskMaster account to ${newEmail}. ` +
+      `Nothing changes until the link sent to that address is opened.\n\n` +
+      `If this wasn't you, sign in, cancel the change from your profile and change your password.`
+  });
+};
+
+module.exports = {
+  createEmailChangeToken,
+  sendEmailChangeEmails
+};
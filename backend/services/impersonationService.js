@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const Impersonation = require('../models/Impersonation');
+
+// Impersonation sessions end on their own after this many minutes
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 30;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryImpersonations = new Map();
+
+const isActive = (impersonation) => {
+  return !!impersonation &&
+    !impersonation.endedAt &&
+    new Date(impersonation.expiresAt).getTime() > Date.now();
+};
+
+// Shape an impersonation for API responses
+const toImpersonationResponse = (impersonation) => ({
+  id: impersonation._id,
+  admin: {
+    id: impersonation.admin,
+    email: impersonation.adminEmail,
+    name: impersonation.adminName
+  },
+  user: impersonation.user,
+  reason: impersonation.reason,
+  startedAt: impersonation.createdAt,
+  expiresAt: impersonation.expiresAt
+});
+
+// Start a time-limited impersonation of a user by an admin
+const startImpersonation = async ({ admin, user, reason, ip = '', userAgent = '' }) => {
+  const data = {
+    admin: admin.id,
+    adminEmail: admin.email,
+    adminName: admin.name,
+    user: user._id,
+    reason,
+    ip: ip || '',
+    userAgent: (userAgent || '').slice(0, 512),
+    expiresAt: new Date(Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000)
+  };
+
+  try {
+    // Try MongoDB first
+    const impersonation = await Impersonation.create(data);
+    return impersonation.toObject();
+  } catch (error) {
+    // Fallback to in-memory storage
+    const impersonation = {
+      _id: crypto.randomUUID(),
+      ...data,
+      admin: String(data.admin),
+      user: String(data.user),
+      createdAt: new Date(),
+      endedAt: null
+    };
+    inMemoryImpersonations.set(impersonation._id, impersonation);
+    return impersonation;
+  }
+};
+
+// Look up an impersonation, returning null if it is unknown, ended or expired
+const findActiveImpersonation = async (impersonationId) => {
+  let impersonation;
+
+  try {
+    // Try MongoDB first
+    impersonation = await Impersonation.findById(impersonationId).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    impersonation = inMemoryImpersonations.get(impersonationId);
+  }
+
+  return isActive(impersonation) ? impersonation : null;
+};
+
+// End an impersonation early, invalidating every token issued for it
+const endImpersonation = async (impersonationId) => {
+  const endedAt = new Date();
+
+  try {
+    // Try MongoDB first
+    await Impersonation.updateOne({ _id: impersonationId, endedAt: null }, { endedAt });
+  } catch (error) {
+    // Fallback to in-memory storage
+    const impersonation = inMemoryImpersonations.get(impersonationId);
+    if (impersonation && !impersonation.endedAt) {
+      impersonation.endedAt = endedAt;
+    }
+  }
+};
+
+module.exports = {
+  IMPERSONATION_EXPIRE_MINUTES,
+  toImpersonationResponse,
+  startImpersonation,
+  findActiveImpersonation,
+  endImpersonation
+};
@@ -0,0 +1,148 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failed logins allowed per account before it is locked
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+
+// Failed logins allowed per IP (across all accounts) before it is locked.
+// Higher than the per-account limit so users behind a shared NAT aren't punished.
+const MAX_LOGIN_ATTEMPTS_PER_IP = parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP, 10) || 50;
+
+// First lockout duration in ms; each further failure doubles it
+const ACCOUNT_LOCK_TIME = parseInt(process.env.ACCOUNT_LOCK_TIME, 10) || 5 * 60 * 1000;
+
+// Longest possible lockout
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000;
+
+// Failed attempts are forgotten this long after the last one
+const ATTEMPT_RESET_TIME = 24 * 60 * 60 * 1000;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryAttempts = new Map();
+
+const emailKey = (email) => `email:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Helper function to load an attempt record (works with or without MongoDB)
+const getAttempt = async (key) => {
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = await LoginAttempt.findOne({ key }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = inMemoryAttempts.get(key);
+  }
+
+  if (record && new Date(record.expiresAt) < new Date()) {
+    return null;
+  }
+
+  return record || null;
+};
+
+// Helper function to count one more failure for a key and return the new count.
+// The increment is a single atomic update, so parallel failures can't overwrite
+// each other's counts.
+const incrementFailures = async (key, now) => {
+  const expiresAt = new Date(now.getTime() + ATTEMPT_RESET_TIME);
+
+  try {
+    // Try MongoDB first. An expired record may outlive its TTL for a while, start over then.
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+    const record = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailedAt: now, expiresAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return record.failures;
+  } catch (error) {
+    // Fallback to in-memory storage (read and write without awaiting in between)
+    const existing = inMemoryAttempts.get(key);
+    const current = existing && existing.expiresAt > now ? existing : { key, failures: 0, lockedUntil: null };
+    const record = { ...current, failures: current.failures + 1, lastFailedAt: now, expiresAt };
+    inMemoryAttempts.set(key, record);
+    return record.failures;
+  }
+};
+
+// Helper function to lock a key until the given time. Never shortens a lock
+// set by a parallel failure with a higher count.
+const extendLock = async (key, lockedUntil) => {
+  try {
+    // Try MongoDB first
+    await LoginAttempt.updateOne({ key }, { $max: { lockedUntil } });
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = inMemoryAttempts.get(key);
+    if (record && (!record.lockedUntil || record.lockedUntil < lockedUntil)) {
+      record.lockedUntil = lockedUntil;
+    }
+  }
+};
+
+// Helper function to delete an attempt record
+const deleteAttempt = async (key) => {
+  try {
+    // Try MongoDB first
+    await LoginAttempt.deleteOne({ key });
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryAttempts.delete(key);
+  }
+};
+
+// Lockout duration after a given number of failures (0 = not locked)
+const getLockDuration = (failures, maxAttempts) => {
+  if (failures < maxAttempts) return 0;
+  return Math.min(ACCOUNT_LOCK_TIME * 2 ** (failures - maxAttempts), MAX_LOCK_TIME);
+};
+
+// Helper function to record one failed attempt for a key.
+// Returns the remaining lockout in ms (0 if not locked).
+const recordFailure = async (key, maxAttempts) => {
+  const now = new Date();
+  const failures = await incrementFailures(key, now);
+  const lockDuration = getLockDuration(failures, maxAttempts);
+
+  if (lockDuration) {
+    await extendLock(key, new Date(now.getTime() + lockDuration));
+  }
+
+  return lockDuration;
+};
+
+// Remaining lockout in seconds for this email/IP pair (0 if login is allowed)
+const getLockoutRemaining = async (email, ip) => {
+  const records = await Promise.all([getAttempt(emailKey(email)), getAttempt(ipKey(ip))]);
+  const now = Date.now();
+
+  const remaining = records.reduce((longest, record) => {
+    if (!record || !record.lockedUntil) return longest;
+    return Math.max(longest, new Date(record.lockedUntil).getTime() - now);
+  }, 0);
+
+  return Math.ceil(Math.max(remaining, 0) / 1000);
+};
+
+// Record a failed login for both the account and the IP.
+// Returns the lockout in seconds that now applies (0 if not locked).
+const recordLoginFailure = async (email, ip) => {
+  const [emailLock, ipLock] = await Promise.all([
+    recordFailure(emailKey(email), MAX_LOGIN_ATTEMPTS),
+    recordFailure(ipKey(ip), MAX_LOGIN_ATTEMPTS_PER_IP)
+  ]);
+
+  return Math.ceil(Math.max(emailLock, ipLock) / 1000);
+};
+
+// Forget failed logins for an account (after a successful login or an admin unlock)
+const clearLoginFailures = async (email) => {
+  await deleteAttempt(emailKey(email));
+};
+
+module.exports = {
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+};
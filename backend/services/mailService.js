@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory used by the file transport
+const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+// Default sender address
+const MAIL_FROM = process.env.MAIL_FROM || 'TaskMaster <no-reply@taskmaster.local>';
+
+// Built-in transports. A transport is an async function that receives
+// { from, to, subject, text, html } and delivers the message.
+const transports = {
+  // Print messages to the console (default in development)
+  console: async (message) => {
+    console.log('📧 Outgoing email');
+    console.log(`   From:    ${message.from}`);
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+  },
+
+  // Write each message to a JSON file on disk
+  file: async (message) => {
+    await fs.mkdir(MAIL_OUTPUT_DIR, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    await fs.writeFile(
+      path.join(MAIL_OUTPUT_DIR, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+// Register a custom transport (e.g. an SMTP or API based provider)
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = transport;
+};
+
+// Send an email through the transport named in MAIL_TRANSPORT
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
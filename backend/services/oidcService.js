@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateRandomToken } = require('../utils/tokens');
+
+// Identity provider settings. SSO is enabled when an issuer and client ID are set.
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || ''; // Leave empty for public clients
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI ||
+  `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+
+// Label for the login button
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'SSO';
+
+const OIDC_ENABLED = Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+// How long provider metadata and signing keys are cached
+const METADATA_CACHE_TIME = 60 * 60 * 1000;
+
+// Signature algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+// Helper function to fetch JSON from the provider
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`Identity provider request failed: ${reason}`);
+  }
+
+  return body;
+};
+
+// Load (and cache) the provider's discovery document
+const getDiscovery = async () => {
+  if (discoveryCache && discoveryCache.fetchedAt + METADATA_CACHE_TIME > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== OIDC_ISSUER) {
+    throw new Error('Identity provider issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Find the public key an ID token was signed with, refetching the key set
+// once if the key ID is unknown (the provider may have rotated keys)
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await getDiscovery();
+
+  for (const forceRefresh of [false, true]) {
+    if (forceRefresh || !jwksCache || jwksCache.fetchedAt + METADATA_CACHE_TIME < Date.now()) {
+      const { keys } = await fetchJson(jwksUri);
+      jwksCache = { keys, fetchedAt: Date.now() };
+    }
+
+    const jwk = jwksCache.keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('Unknown ID token signing key');
+};
+
+// Create a PKCE code verifier and its S256 challenge
+const createPkcePair = () => {
+  const codeVerifier = generateRandomToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+// Build the URL that sends the browser to the provider's login page
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code for the provider's tokens
+const exchangeCode = async (code, codeVerifier) => {
+  const { token_endpoint: tokenEndpoint } = await getDiscovery();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    client_id: OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+
+  if (OIDC_CLIENT_SECRET) {
+    params.set('client_secret', OIDC_CLIENT_SECRET);
+  }
+
+  return fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [OIDC_ISSUER, `${OIDC_ISSUER}/`],
+    audience: OIDC_CLIENT_ID
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+// Ask the userinfo endpoint for claims the ID token didn't include
+const fetchUserInfo = async (accessToken) => {
+  const { userinfo_endpoint: userinfoEndpoint } = await getDiscovery();
+  if (!userinfoEndpoint || !accessToken) {
+    return {};
+  }
+
+  return fetchJson(userinfoEndpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+};
+
+// Complete the code flow and return the user's identity
+const getUserIdentity = async ({ code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(code, codeVerifier);
+  if (!tokens.id_token) {
+    throw new Error('Identity provider did not return an ID token');
+  }
+
+  let claims = await verifyIdToken(tokens.id_token, nonce);
+
+  if (!claims.email) {
+    const userInfo = await fetchUserInfo(tokens.access_token);
+
+    // Userinfo must describe the same user as the ID token
+    if (userInfo.sub === claims.sub) {
+      claims = { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+    }
+  }
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username || null
+  };
+};
+
+module.exports = {
+  OIDC_ENABLED,
+  OIDC_ISSUER,
+  OIDC_PROVIDER_NAME,
+  createPkcePair,
+  buildAuthorizationUrl,
+  getUserIdentity
+};
@@ -0,0 +1,122 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+
+// Relying party settings. The RP ID is the domain passkeys are bound to and the
+// origin is where the frontend runs; both must match what the browser reports.
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || 'TaskMaster';
+const WEBAUTHN_ORIGIN = process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// How long the user has to complete a ceremony
+const CEREMONY_TIMEOUT = 5 * 60 * 1000;
+
+// Maximum passkeys a single account can register
+const MAX_PASSKEYS = 10;
+
+// Shape a stored passkey for API responses (the public key stays on the server)
+const toPasskeyResponse = (passkey) => ({
+  id: passkey.credentialId,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+// Options for navigator.credentials.create(). Existing passkeys are excluded so
+// the same authenticator can't be registered twice.
+const createRegistrationOptions = (user) => {
+  return generateRegistrationOptions({
+    rpName: WEBAUTHN_RP_NAME,
+    rpID: WEBAUTHN_RP_ID,
+    userID: isoUint8Array.fromUTF8String(String(user._id)),
+    userName: user.email,
+    userDisplayName: user.name,
+    timeout: CEREMONY_TIMEOUT,
+    attestationType: 'none',
+    excludeCredentials: (user.passkeys || []).map(passkey => ({
+      id: passkey.credentialId,
+      transports: passkey.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required'
+    }
+  });
+};
+
+// Check a registration response and return the passkey to store
+const verifyRegistration = async (response, expectedChallenge) => {
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: WEBAUTHN_ORIGIN,
+    expectedRPID: WEBAUTHN_RP_ID,
+    requireUserVerification: true
+  });
+
+  if (!verified) {
+    throw new Error('Passkey registration could not be verified');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+
+  return {
+    credentialId: credential.id,
+    publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+// Options for navigator.credentials.get(). No credentials are listed, so the
+// browser offers any passkey it has for this site (usernameless login).
+const createAuthenticationOptions = () => {
+  return generateAuthenticationOptions({
+    rpID: WEBAUTHN_RP_ID,
+    timeout: CEREMONY_TIMEOUT,
+    userVerification: 'required'
+  });
+};
+
+// Check an authentication response against a stored passkey and return its new
+// sign count. Throws if the signature is wrong or the sign count went backwards,
+// which suggests the authenticator has been cloned.
+const verifyAuthentication = async (response, expectedChallenge, passkey) => {
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: WEBAUTHN_ORIGIN,
+    expectedRPID: WEBAUTHN_RP_ID,
+    credential: {
+      id: passkey.credentialId,
+      publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+      counter: passkey.counter,
+      transports: passkey.transports
+    },
+    requireUserVerification: true
+  });
+
+  if (!verified) {
+    throw new Error('Passkey signature could not be verified');
+  }
+
+  return authenticationInfo.newCounter;
+};
+
+module.exports = {
+  WEBAUTHN_ORIGIN,
+  MAX_PASSKEYS,
+  toPasskeyResponse,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
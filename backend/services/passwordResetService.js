@@ -0,0 +1,48 @@
+const { sendMail } = require('./mailService');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Password reset links are valid for this many minutes
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Create a reset token. The plain token goes into the email and the returned
+// fields (only its hash) are stored on the user.
+const createPasswordResetToken = () => {
+  const token = generateRandomToken(32);
+  return {
+    token,
+    fields: {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000)
+    }
+  };
+};
+
+// Email a reset link, either because the user asked for one or because an
+// administrator requires a new password
+const sendPasswordResetEmail = async (user, token, { forced = false } = {}) => {
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  const reason = forced
+    ? 'An administrator has asked you to choose a new password before you sign in again. '
+    : 'Someone requested a password reset for your account. ';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your TaskMaster password',
+    text: `Hi ${user.name},\n\n` +
+      reason +
+      `Use the link below to choose a new password. ` +
+      `It expires in ${PASSWORD_RESET_EXPIRE_MINUTES} minutes.\n\n` +
+      `${resetUrl}\n\n` +
+      (forced
+        ? `If you have questions, contact your administrator.`
+        : `If you didn't request this, you can ignore this email.`)
+  });
+};
+
+module.exports = {
+  createPasswordResetToken,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = ['tasks:read', 'tasks:write', 'profile:read'];
+
+// Every personal access token starts with this, so it can't be mistaken for a JWT
+const TOKEN_PREFIX = 'tmpat_';
+
+// Don't write lastUsedAt more often than this
+const TOUCH_INTERVAL = 60 * 1000;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryTokens = new Map();
+
+const isActive = (record) => {
+  return !!record &&
+    !record.revokedAt &&
+    (!record.expiresAt || new Date(record.expiresAt) > new Date());
+};
+
+// Shape a token record for API responses (never includes the hash)
+const toTokenResponse = (record) => ({
+  id: record._id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  createdAt: record.createdAt
+});
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Create a token. The plaintext is returned once and only its hash is stored.
+const createPersonalAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = `${TOKEN_PREFIX}${generateRandomToken(32)}`;
+  const data = {
+    name,
+    user: userId,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt
+  };
+
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = (await PersonalAccessToken.create(data)).toObject();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = {
+      _id: crypto.randomUUID(),
+      ...data,
+      user: String(userId),
+      lastUsedAt: null,
+      revokedAt: null,
+      createdAt: new Date()
+    };
+    inMemoryTokens.set(record._id, record);
+  }
+
+  return { token, record };
+};
+
+// Look up a token by its plaintext, returning null if unknown, revoked or expired
+const findPersonalAccessToken = async (token) => {
+  const tokenHash = hashToken(token);
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = await PersonalAccessToken.findOne({ tokenHash }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = Array.from(inMemoryTokens.values()).find(item => item.tokenHash === tokenHash);
+  }
+
+  return isActive(record) ? record : null;
+};
+
+// Record that a token was used (throttled to avoid a write per request)
+const touchPersonalAccessToken = async (record) => {
+  if (record.lastUsedAt && Date.now() - new Date(record.lastUsedAt).getTime() < TOUCH_INTERVAL) {
+    return;
+  }
+
+  const lastUsedAt = new Date();
+
+  try {
+    // Try MongoDB first
+    await PersonalAccessToken.updateOne({ _id: record._id }, { lastUsedAt });
+  } catch (error) {
+    // Fallback to in-memory storage
+    const stored = inMemoryTokens.get(record._id);
+    if (stored) stored.lastUsedAt = lastUsedAt;
+  }
+};
+
+// A user's tokens that can still be used, newest first
+const listPersonalAccessTokens = async (userId) => {
+  let records;
+
+  try {
+    // Try MongoDB first
+    records = await PersonalAccessToken.find({ user: userId, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    records = Array.from(inMemoryTokens.values())
+      .filter(record => record.user === String(userId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  return records.filter(isActive);
+};
+
+// Revoke one of a user's tokens. Returns false if it doesn't exist or belongs to someone else.
+const revokePersonalAccessToken = async (tokenId, userId) => {
+  try {
+    // Try MongoDB first
+    const result = await PersonalAccessToken.updateOne(
+      { _id: tokenId, user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = inMemoryTokens.get(tokenId);
+    if (!record || record.user !== String(userId) || record.revokedAt) {
+      return false;
+    }
+    record.revokedAt = new Date();
+    return true;
+  }
+};
+
+// Revoke every active token a user holds (password changes, "log out everywhere",
+// deactivation). Returns how many were revoked.
+const revokeUserPersonalAccessTokens = async (userId) => {
+  try {
+    // Try MongoDB first
+    const result = await PersonalAccessToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    // Fallback to in-memory storage
+    let count = 0;
+    for (const record of inMemoryTokens.values()) {
+      if (record.user === String(userId) && !record.revokedAt) {
+        record.revokedAt = new Date();
+        count += 1;
+      }
+    }
+    return count;
+  }
+};
+
+// Delete every token a user ever created (used when an account is purged)
+const deleteUserPersonalAccessTokens = async (userId) => {
+  try {
+    // Try MongoDB first
+    await PersonalAccessToken.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const [tokenId, record] of inMemoryTokens.entries()) {
+      if (record.user === String(userId)) {
+        inMemoryTokens.delete(tokenId);
+      }
+    }
+  }
+};
+
+module.exports = {
+  TOKEN_SCOPES,
+  toTokenResponse,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findPersonalAccessToken,
+  touchPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+  revokeUserPersonalAccessTokens,
+  deleteUserPersonalAccessTokens
+};
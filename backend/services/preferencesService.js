@@ -0,0 +1,97 @@
+const UserPreferences = require('../models/UserPreferences');
+const { DEFAULT_PREFERENCES } = require('../config/preferences');
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryPreferences = new Map();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Copy the values in changes over base, merging nested objects
+const mergePreferences = (base, changes) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergePreferences(base[key], value)
+      : value;
+  }
+  return merged;
+};
+
+// Turn { tasks: { pageSize: 20 } } into { 'tasks.pageSize': 20 } for a $set update
+const toDottedPaths = (changes, prefix = '') => {
+  return Object.entries(changes).reduce((paths, [key, value]) => {
+    const path = `${prefix}${key}`;
+    return isPlainObject(value)
+      ? { ...paths, ...toDottedPaths(value, `${path}.`) }
+      : { ...paths, [path]: value };
+  }, {});
+};
+
+// Strip database fields, filling in defaults for anything missing
+const toPreferencesResponse = (preferences) => {
+  if (!preferences) {
+    return { ...DEFAULT_PREFERENCES, updatedAt: null };
+  }
+
+  const { tasks, landingPage, theme, notifications, updatedAt } = preferences.toObject
+    ? preferences.toObject()
+    : preferences;
+
+  return {
+    ...mergePreferences(DEFAULT_PREFERENCES, { tasks, landingPage, theme, notifications }),
+    updatedAt
+  };
+};
+
+// A user's preferences (the defaults until they change something)
+const getPreferences = async (userId) => {
+  try {
+    // Try MongoDB first
+    const preferences = await UserPreferences.findOne({ user: userId });
+    return toPreferencesResponse(preferences);
+  } catch (error) {
+    // Fallback to in-memory storage
+    return toPreferencesResponse(inMemoryPreferences.get(String(userId)));
+  }
+};
+
+// Save some preferences, leaving the others as they are
+const updatePreferences = async (userId, changes) => {
+  try {
+    // Try MongoDB first
+    const preferences = await UserPreferences.findOneAndUpdate(
+      { user: userId },
+      { $set: { ...toDottedPaths(changes), updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    return toPreferencesResponse(preferences);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw error;
+    }
+
+    // Fallback to in-memory storage
+    const current = inMemoryPreferences.get(String(userId)) || DEFAULT_PREFERENCES;
+    const preferences = { ...mergePreferences(current, changes), updatedAt: new Date() };
+    inMemoryPreferences.set(String(userId), preferences);
+    return toPreferencesResponse(preferences);
+  }
+};
+
+// Delete a user's preferences (used when an account is purged)
+const deletePreferences = async (userId) => {
+  try {
+    // Try MongoDB first
+    await UserPreferences.deleteOne({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryPreferences.delete(String(userId));
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  deletePreferences
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryRefreshTokens = new Map();
+
+// Helper function to revoke every token in a family
+const revokeTokenFamily = async (family) => {
+  try {
+    // Try MongoDB first
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const record of inMemoryRefreshTokens.values()) {
+      if (record.family === family && !record.revokedAt) {
+        record.revokedAt = new Date();
+      }
+    }
+  }
+};
+
+// Issue a new refresh token, starting a new family unless one is given
+const createRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = generateRandomToken();
+  const record = {
+    tokenHash: hashToken(token),
+    family,
+    user: userId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    usedAt: null,
+    revokedAt: null,
+    createdAt: new Date()
+  };
+
+  try {
+    // Try MongoDB first
+    await RefreshToken.create(record);
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryRefreshTokens.set(record.tokenHash, record);
+  }
+
+  return token;
+};
+
+// Mark a refresh token as used. Returns the token record as it was before
+// this call, so the caller can tell a first use from a replay.
+const markTokenUsed = async (tokenHash) => {
+  try {
+    // Try MongoDB first
+    return await RefreshToken.findOneAndUpdate(
+      { tokenHash },
+      { $set: { usedAt: new Date() } },
+      { new: false }
+    );
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = inMemoryRefreshTokens.get(tokenHash);
+    if (!record) return null;
+
+    const previous = { ...record };
+    record.usedAt = record.usedAt || new Date();
+    return previous;
+  }
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Returns null when the token is unknown, expired or revoked, and
+// { reused: true, userId, family } when an already rotated token is presented again,
+// in which case the whole family is revoked.
+const rotateRefreshToken = async (token) => {
+  const record = await markTokenUsed(hashToken(token));
+
+  if (!record || record.revokedAt || new Date(record.expiresAt) < new Date()) {
+    return null;
+  }
+
+  if (record.usedAt) {
+    await revokeTokenFamily(record.family);
+    return { reused: true, userId: record.user, family: record.family };
+  }
+
+  const refreshToken = await createRefreshToken(record.user, record.family);
+
+  return {
+    userId: record.user,
+    family: record.family,
+    refreshToken
+  };
+};
+
+// Revoke the family a refresh token belongs to (used on logout)
+const revokeRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = await RefreshToken.findOne({ tokenHash });
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = inMemoryRefreshTokens.get(tokenHash);
+  }
+
+  if (record) {
+    await revokeTokenFamily(record.family);
+  }
+};
+
+// Revoke every refresh token a user holds (used by "log out everywhere")
+const revokeUserRefreshTokens = async (userId) => {
+  try {
+    // Try MongoDB first
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const record of inMemoryRefreshTokens.values()) {
+      if (record.user == userId && !record.revokedAt) {
+        record.revokedAt = new Date();
+      }
+    }
+  }
+};
+
+// Delete every refresh token a user ever held (used when an account is purged)
+const deleteUserRefreshTokens = async (userId) => {
+  try {
+    // Try MongoDB first
+    await RefreshToken.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const [tokenHash, record] of inMemoryRefreshTokens.entries()) {
+      if (record.user == userId) {
+        inMemoryRefreshTokens.delete(tokenHash);
+      }
+    }
+  }
+};
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRE_DAYS,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+  deleteUserRefreshTokens
+};
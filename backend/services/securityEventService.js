@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const SecurityEvent = require('../models/SecurityEvent');
+
+// Event types, each recorded with an outcome of "success" or "failure"
+const SECURITY_EVENT_TYPES = [
+  'auth.login', // details.method: password, magic-link, passkey, sso or two-factor
+  'auth.token_rejected', // details.reason says why an access or refresh token was refused
+  'password.changed',
+  'password.reset',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'passkey.added',
+  'passkey.removed',
+  'access_token.created',
+  'access_token.revoked',
+  'session.revoked',
+  'profile.updated',
+  'email.verified',
+  'email.change_requested',
+  'email.changed',
+  'account.deletion_requested',
+  'account.deletion_cancelled'
+];
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemorySecurityEvents = [];
+
+// Shape an event for API responses
+const toSecurityEventResponse = (event) => ({
+  id: event._id,
+  type: event.type,
+  outcome: event.outcome,
+  user: event.user,
+  email: event.email,
+  actor: event.actor,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  details: event.details,
+  createdAt: event.createdAt
+});
+
+// Record a security event for a request. `user` is the account it is about,
+// if known; `email` can name the account instead (e.g. a failed login).
+// Never throws, so callers don't need to wait for it.
+const recordSecurityEvent = async (req, { type, outcome = 'success', user = null, email = '', details = {} }) => {
+  const userId = user ? (user._id || user.id) : null;
+  const impersonation = req.auth && req.auth.impersonation;
+
+  const entry = {
+    type,
+    outcome,
+    user: userId,
+    email: ((user && user.email) || email || '').toLowerCase(),
+    actor: impersonation ? impersonation.admin.id : userId,
+    ip: req.ip || '',
+    userAgent: (req.get('User-Agent') || '').slice(0, 512),
+    details
+  };
+
+  try {
+    // Try MongoDB first
+    await SecurityEvent.create(entry);
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemorySecurityEvents.unshift({
+      _id: crypto.randomUUID(),
+      ...entry,
+      user: entry.user && String(entry.user),
+      actor: entry.actor && String(entry.actor),
+      createdAt: new Date()
+    });
+  }
+};
+
+// Page through security events, newest first. Filter by user, email, type,
+// outcome, IP address and a createdAt range (from/to).
+const listSecurityEvents = async ({ user, email, type, outcome, ip, from, to, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (user) filter.user = user;
+  if (email) filter.email = email.toLowerCase();
+  if (type) filter.type = type;
+  if (outcome) filter.outcome = outcome;
+  if (ip) filter.ip = ip;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  try {
+    // Try MongoDB first
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SecurityEvent.countDocuments(filter)
+    ]);
+    return { events, total };
+  } catch (error) {
+    // Fallback to in-memory storage
+    const fields = { ...filter };
+    delete fields.createdAt;
+
+    const matching = inMemorySecurityEvents.filter(event =>
+      Object.entries(fields).every(([key, value]) => String(event[key]) === String(value)) &&
+      (!from || event.createdAt >= from) &&
+      (!to || event.createdAt <= to));
+    return {
+      events: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length
+    };
+  }
+};
+
+// Delete every event about a user (used when an account is purged)
+const deleteUserSecurityEvents = async (userId) => {
+  try {
+    // Try MongoDB first
+    await SecurityEvent.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (let i = inMemorySecurityEvents.length - 1; i >= 0; i -= 1) {
+      if (inMemorySecurityEvents[i].user === String(userId)) {
+        inMemorySecurityEvents.splice(i, 1);
+      }
+    }
+  }
+};
+
+module.exports = {
+  SECURITY_EVENT_TYPES,
+  toSecurityEventResponse,
+  recordSecurityEvent,
+  listSecurityEvents,
+  deleteUserSecurityEvents
+};
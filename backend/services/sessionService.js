@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { REFRESH_TOKEN_EXPIRE_DAYS, revokeTokenFamily } = require('./refreshTokenService');
+
+// A session with no refresh for this long is treated as expired
+const SESSION_IDLE_TIMEOUT = REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+
+// Don't write lastSeenAt more often than this
+const TOUCH_INTERVAL = 60 * 1000;
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemorySessions = new Map();
+
+const isActive = (session) => {
+  return !!session &&
+    !session.revokedAt &&
+    new Date(session.lastSeenAt).getTime() + SESSION_IDLE_TIMEOUT > Date.now();
+};
+
+// Start a new session for a user after a successful sign-in
+const createSession = async (userId, { userAgent = '', ip = '' } = {}) => {
+  const data = {
+    user: userId,
+    userAgent: (userAgent || '').slice(0, 512),
+    ip: ip || ''
+  };
+
+  try {
+    // Try MongoDB first
+    const session = await Session.create(data);
+    return session.toObject();
+  } catch (error) {
+    // Fallback to in-memory storage
+    const now = new Date();
+    const session = {
+      _id: crypto.randomUUID(),
+      ...data,
+      user: String(userId),
+      createdAt: now,
+      lastSeenAt: now,
+      revokedAt: null
+    };
+    inMemorySessions.set(session._id, session);
+    return session;
+  }
+};
+
+// Look up a session, returning null if it is unknown, revoked or idle too long
+const findActiveSession = async (sessionId) => {
+  let session;
+
+  try {
+    // Try MongoDB first
+    session = await Session.findById(sessionId).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    session = inMemorySessions.get(sessionId);
+  }
+
+  return isActive(session) ? session : null;
+};
+
+// Record activity on a session (throttled to avoid a write per request)
+const touchSession = async (session, ip) => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < TOUCH_INTERVAL) {
+    return;
+  }
+
+  const updates = { lastSeenAt: new Date() };
+  if (ip) updates.ip = ip;
+
+  try {
+    // Try MongoDB first
+    await Session.updateOne({ _id: session._id }, updates);
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = inMemorySessions.get(session._id);
+    if (record) Object.assign(record, updates);
+  }
+};
+
+// Active sessions for a user, most recently used first
+const listUserSessions = async (userId) => {
+  let sessions;
+
+  try {
+    // Try MongoDB first
+    sessions = await Session.find({ user: userId, revokedAt: null })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    sessions = Array.from(inMemorySessions.values())
+      .filter(session => session.user === String(userId))
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  return sessions.filter(isActive);
+};
+
+// Revoke one of a user's sessions and its refresh tokens.
+// Returns false if the session doesn't exist or belongs to someone else.
+const revokeSession = async (sessionId, userId) => {
+  let revoked;
+
+  try {
+    // Try MongoDB first
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    revoked = result.modifiedCount > 0;
+  } catch (error) {
+    // Fallback to in-memory storage
+    const session = inMemorySessions.get(sessionId);
+    revoked = !!session && session.user === String(userId) && !session.revokedAt;
+    if (revoked) session.revokedAt = new Date();
+  }
+
+  if (revoked) {
+    await revokeTokenFamily(sessionId);
+  }
+
+  return revoked;
+};
+
+// Revoke every session for a user, optionally keeping one (the current device)
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const sessions = await listUserSessions(userId);
+  const targets = sessions.filter(session => session._id !== exceptSessionId);
+
+  await Promise.all(targets.map(session => revokeSession(session._id, userId)));
+
+  return targets.length;
+};
+
+// Delete every session a user ever had, including revoked ones (used when an
+// account is purged)
+const deleteUserSessions = async (userId) => {
+  try {
+    // Try MongoDB first
+    await Session.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const [sessionId, session] of inMemorySessions.entries()) {
+      if (session.user === String(userId)) {
+        inMemorySessions.delete(sessionId);
+      }
+    }
+  }
+};
+
+module.exports = {
+  createSession,
+  findActiveSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+  deleteUserSessions
+};
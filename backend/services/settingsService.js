@@ -0,0 +1,58 @@
+const Setting = require('../models/Setting');
+
+// Defaults for login methods until an admin changes them
+const DEFAULT_LOGIN_METHODS = {
+  password: process.env.PASSWORD_LOGIN_ENABLED !== 'false',
+  magicLink: process.env.MAGIC_LINK_LOGIN_ENABLED === 'true'
+};
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemorySettings = new Map();
+
+// Read a setting, falling back to a default when it has never been set
+const getSetting = async (key, defaultValue) => {
+  let record;
+
+  try {
+    // Try MongoDB first
+    record = await Setting.findOne({ key }).lean();
+  } catch (error) {
+    // Fallback to in-memory storage
+    record = inMemorySettings.get(key);
+  }
+
+  return record ? record.value : defaultValue;
+};
+
+// Create or replace a setting
+const setSetting = async (key, value, userId = null) => {
+  const record = { key, value, updatedBy: userId, updatedAt: new Date() };
+
+  try {
+    // Try MongoDB first
+    await Setting.updateOne({ key }, record, { upsert: true });
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemorySettings.set(key, record);
+  }
+};
+
+// Which login methods are currently allowed
+const getLoginMethods = async () => {
+  const stored = await getSetting('loginMethods', {});
+  return { ...DEFAULT_LOGIN_METHODS, ...stored };
+};
+
+// Turn login methods on or off (only the keys given are changed)
+const updateLoginMethods = async (updates, userId) => {
+  const loginMethods = { ...(await getLoginMethods()), ...updates };
+  await setSetting('loginMethods', loginMethods, userId);
+  return loginMethods;
+};
+
+module.exports = {
+  getSetting,
+  setSetting,
+  getLoginMethods,
+  updateLoginMethods
+};
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory used by the local driver
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Turn a storage key into a path inside STORAGE_DIR
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(STORAGE_DIR, key);
+
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Built-in drivers. A driver stores files under keys such as "avatars/abc.webp"
+// and provides async save(key, data, contentType), read(key) returning a Buffer
+// (or null when the file doesn't exist) and remove(key).
+const drivers = {
+  // Keep files on the local disk (default)
+  local: {
+    save: async (key, data) => {
+      const filePath = resolveLocalPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    },
+
+    read: async (key) => {
+      try {
+        return await fs.readFile(resolveLocalPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveLocalPath(key), { force: true });
+    }
+  }
+};
+
+// Register a custom driver (e.g. one backed by S3 or another object store)
+const registerStorageDriver = (name, driver) => {
+  const missing = ['save', 'read', 'remove'].filter(method => typeof driver?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage driver "${name}" is missing ${missing.join(', ')}`);
+  }
+  drivers[name] = driver;
+};
+
+// Driver named in STORAGE_DRIVER
+const getDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  return driver;
+};
+
+const saveFile = (key, data, contentType) => getDriver().save(key, data, contentType);
+
+const readFile = (key) => getDriver().read(key);
+
+const removeFile = (key) => getDriver().remove(key);
+
+module.exports = {
+  saveFile,
+  readFile,
+  removeFile,
+  registerStorageDriver
+};
@@ -0,0 +1,94 @@
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+
+// In-memory storage for development (when MongoDB is not available)
+const inMemoryRevokedTokens = new Map();
+const inMemoryTokensValidAfter = new Map();
+
+// Helper function to revoke a single access token by its jti
+const revokeToken = async (jti, expiresAt, userId = null) => {
+  if (!jti) return;
+
+  try {
+    // Try MongoDB first
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, user: userId, expiresAt } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryRevokedTokens.set(jti, { jti, user: userId, expiresAt });
+  }
+};
+
+// Helper function to invalidate every token issued to a user so far
+const revokeAllUserTokens = async (userId) => {
+  const now = new Date();
+
+  try {
+    // Try MongoDB first
+    await User.findByIdAndUpdate(userId, { tokensValidAfter: now });
+  } catch (error) {
+    // Fallback to in-memory storage
+    inMemoryTokensValidAfter.set(String(userId), now);
+  }
+};
+
+// Helper function to check whether a jti has been revoked
+const isJtiRevoked = async (jti) => {
+  try {
+    // Try MongoDB first
+    return !!(await RevokedToken.exists({ jti }));
+  } catch (error) {
+    // Fallback to in-memory storage
+    const record = inMemoryRevokedTokens.get(jti);
+    if (record && new Date(record.expiresAt) < new Date()) {
+      inMemoryRevokedTokens.delete(jti);
+      return false;
+    }
+    return !!record;
+  }
+};
+
+// Check a decoded access token against the revocation store.
+// `user` is the token's owner, used for the "log out everywhere" cutoff.
+const isTokenRevoked = async (decoded, user) => {
+  const validAfter = (user && user.tokensValidAfter) ||
+    inMemoryTokensValidAfter.get(String(decoded.id));
+
+  // JWT iat has second precision, so compare whole seconds
+  if (validAfter && decoded.iat < Math.floor(new Date(validAfter).getTime() / 1000)) {
+    return true;
+  }
+
+  // Tokens issued before jti was added cannot be revoked individually
+  if (!decoded.jti) return false;
+
+  return await isJtiRevoked(decoded.jti);
+};
+
+// Forget a user's revoked tokens and "log out everywhere" cutoff (used when an
+// account is purged; its tokens stop working once the user is gone)
+const deleteUserRevocations = async (userId) => {
+  inMemoryTokensValidAfter.delete(String(userId));
+
+  try {
+    // Try MongoDB first
+    await RevokedToken.deleteMany({ user: userId });
+  } catch (error) {
+    // Fallback to in-memory storage
+    for (const [jti, record] of inMemoryRevokedTokens.entries()) {
+      if (record.user == userId) {
+        inMemoryRevokedTokens.delete(jti);
+      }
+    }
+  }
+};
+
+module.exports = {
+  revokeToken,
+  revokeAllUserTokens,
+  isTokenRevoked,
+  deleteUserRevocations
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateRandomToken } = require('./tokens');
+const { REFRESH_TOKEN_EXPIRE_DAYS } = require('../services/refreshTokenService');
+
+// 'header' (tokens in the response body, sent back as a Bearer header) or
+// 'cookie' (tokens in httpOnly cookies, guarded by a double-submit CSRF token)
+const AUTH_MODE = process.env.AUTH_MODE || 'header';
+const COOKIE_AUTH = AUTH_MODE === 'cookie';
+
+// SameSite policy for the auth cookies. Use 'none' only if the frontend is
+// served from a different site than the API (requires HTTPS).
+const AUTH_COOKIE_SAMESITE = process.env.AUTH_COOKIE_SAMESITE || 'lax';
+
+const ACCESS_COOKIE = 'tm_access';
+const REFRESH_COOKIE = 'tm_refresh';
+const CSRF_COOKIE = 'tm_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const baseCookieOptions = () => ({
+  secure: process.env.NODE_ENV === 'production' || AUTH_COOKIE_SAMESITE === 'none',
+  sameSite: AUTH_COOKIE_SAMESITE
+});
+
+// Read a cookie from the request without pulling in cookie-parser
+const getCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+
+  return null;
+};
+
+// Put an access token into its cookie, returning when the token expires
+const setAccessCookie = (res, token) => {
+  const { exp } = jwt.decode(token);
+  const expiresAt = new Date(exp * 1000);
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: '/api',
+    expires: expiresAt
+  });
+
+  return expiresAt;
+};
+
+// Put a freshly issued token pair into cookies, along with a new CSRF token.
+// Returns the access token's expiry so the client can schedule a refresh.
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const expiresAt = setAccessCookie(res, token);
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+  });
+
+  // Readable by the frontend, which echoes it back in the CSRF header
+  res.cookie(CSRF_COOKIE, generateRandomToken(32), {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    path: '/',
+    maxAge: REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+  });
+
+  return expiresAt;
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, { ...baseCookieOptions(), path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookieOptions(), path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...baseCookieOptions(), path: '/' });
+};
+
+// Double-submit check: unsafe requests must echo the CSRF cookie in a header
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = getCookie(req, CSRF_COOKIE);
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+module.exports = {
+  COOKIE_AUTH,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  getCookie,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken
+};
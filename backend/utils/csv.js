@@ -0,0 +1,42 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Turn a value into the text of one CSV cell
+const toCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join('; ');
+  } else if (typeof value === 'object') {
+    // Values such as ObjectIds serialize to a plain string
+    const json = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    text = typeof json === 'string' ? json : JSON.stringify(json);
+  } else {
+    text = String(value);
+  }
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document with a header row and one row per record
+const toCsv = (records, columns) => {
+  const lines = [
+    columns.map(toCell).join(','),
+    ...records.map(record => columns.map(column => toCell(record[column])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,47 @@
+// How users can choose to see dates. "locale" follows their locale's own style.
+const DATE_FORMATS = ['locale', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+// Time zone used for users who haven't picked one
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Check for an IANA time zone name such as "Europe/Berlin"
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check for a BCP 47 locale such as "en-GB" that dates can be formatted in
+const isValidLocale = (locale) => {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Today's date in a time zone, as midnight UTC. Due dates are stored as midnight
+// UTC of the chosen day, so a task is overdue once its due date is before this.
+const startOfToday = (timeZone, now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || DEFAULT_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+
+  return new Date(`${parts.year}-${parts.month}-${parts.day}T00:00:00.000Z`);
+};
+
+module.exports = {
+  DATE_FORMATS,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  isValidLocale,
+  startOfToday
+};
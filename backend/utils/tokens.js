@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate an opaque, URL-safe random token
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token before storing it (only hashes ever hit the database)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
@@ -11,14 +11,22 @@ import { AuthProvider } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
 import LoadingSpinner from './components/LoadingSpinner';
+import ImpersonationBanner from './components/ImpersonationBanner';
 
 // Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import ConfirmEmailChange from './pages/ConfirmEmailChange';
+import SsoCallback from './pages/SsoCallback';
+import MagicLinkLogin from './pages/MagicLinkLogin';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import Tasks from './pages/Tasks';
 import Landing from './pages/Landing';
+import Admin from './pages/Admin';
 
 function App() {
   return (
@@ -28,17 +36,24 @@ function App() {
           <Navbar />
           
           <main className="main-content">
+            <ImpersonationBanner />
             <Routes>
               {/* Public Routes */}
               <Route path="/" element={<Landing />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/confirm-email-change" element={<ConfirmEmailChange />} />
+              <Route path="/sso/callback" element={<SsoCallback />} />
+              <Route path="/magic-link" element={<MagicLinkLogin />} />
               
               {/* Protected Routes */}
               <Route 
                 path="/dashboard" 
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission="tasks:read">
                     <Dashboard />
                   </ProtectedRoute>
                 } 
@@ -46,7 +61,7 @@ function App() {
               <Route 
                 path="/tasks" 
                 element={
-                  <ProtectedRoute>
+                  <ProtectedRoute permission="tasks:read">
                     <Tasks />
                   </ProtectedRoute>
                 } 
@@ -59,6 +74,14 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/admin" 
+                element={
+                  <ProtectedRoute permission="users:read">
+                    <Admin />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Fallback */}
               <Route path="*" element={<Navigate to="/" replace />} />
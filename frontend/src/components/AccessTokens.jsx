@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Form, Button, Alert, Table, Badge, Spinner } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { authService } from '../services/authService';
+import { useDateFormat } from '../utils/dates';
+
+// Keep in sync with TOKEN_SCOPES on the backend
+const SCOPES = [
+  { value: 'tasks:read', label: 'Read tasks' },
+  { value: 'tasks:write', label: 'Create, update and delete tasks' },
+  { value: 'profile:read', label: 'Read your profile' },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const AccessTokens = () => {
+  const { formatDate } = useDateFormat();
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['tasks:read']);
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [createdToken, setCreatedToken] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await authService.getAccessTokens();
+      if (response.success) {
+        setTokens(response.data.tokens);
+      }
+    } catch (error) {
+      console.error('Error fetching access tokens:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setName('');
+    setScopes(['tasks:read']);
+    setExpiresInDays('30');
+    setCreatedToken(null);
+    setError('');
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(scopes.includes(scope)
+      ? scopes.filter(item => item !== scope)
+      : [...scopes, scope]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setError('Token name is required');
+      return;
+    }
+
+    if (scopes.length === 0) {
+      setError('Select at least one scope');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+
+      const tokenData = { name: name.trim(), scopes };
+      if (expiresInDays) {
+        tokenData.expiresInDays = parseInt(expiresInDays, 10);
+      }
+
+      const response = await authService.createAccessToken(tokenData);
+      if (response.success) {
+        setCreatedToken(response.data.token);
+        setTokens([response.data.accessToken, ...tokens]);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create access token.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    const confirmed = window.confirm(
+      `Revoke "${token.name}"? Scripts using this token will stop working.`
+    );
+
+    if (!confirmed) return;
+
+    try {
+      const response = await authService.revokeAccessToken(token.id);
+      if (response.success) {
+        setTokens(tokens.filter(item => item.id !== token.id));
+        toast.success('Access token revoked');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke access token.');
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      toast.success('Token copied to clipboard');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      toast.error('Could not copy the token. Please copy it manually.');
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <h6>Personal Access Tokens</h6>
+      <p className="text-muted mb-2">
+        Tokens let scripts and integrations use the API on your behalf. Send one as
+        a <code>Bearer</code> token in the <code>Authorization</code> header. Changing your
+        password or logging out everywhere revokes all of them.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : tokens.length > 0 && (
+        <Table responsive size="sm" className="align-middle">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Last Used</th>
+              <th>Expires</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(token => (
+              <tr key={token.id}>
+                <td>
+                  {token.name}
+                  <div className="small text-muted font-monospace">{token.prefix}…</div>
+                </td>
+                <td>
+                  {token.scopes.map(scope => (
+                    <Badge key={scope} bg="light" text="dark" className="me-1">
+                      {scope}
+                    </Badge>
+                  ))}
+                </td>
+                <td>{token.lastUsedAt ? formatDate(token.lastUsedAt) : 'Never'}</td>
+                <td>{token.expiresAt ? formatDate(token.expiresAt) : 'Never'}</td>
+                <td className="text-end">
+                  <Button variant="outline-danger" size="sm" onClick={() => handleRevoke(token)}>
+                    Revoke
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      <Button variant="outline-primary" size="sm" onClick={() => setShowModal(true)}>
+        Generate New Token
+      </Button>
+
+      {/* Create Token Modal */}
+      <Modal show={showModal} onHide={closeModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>🔑 New Personal Access Token</Modal.Title>
+        </Modal.Header>
+
+        {createdToken ? (
+          <>
+            <Modal.Body>
+              <Alert variant="warning">
+                Copy your new token now. For your security it won't be shown again.
+              </Alert>
+              <div className="bg-light rounded p-3 font-monospace text-break">
+                {createdToken}
+              </div>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="outline-secondary" onClick={copyToken}>
+                Copy
+              </Button>
+              <Button variant="primary" onClick={closeModal}>
+                Done
+              </Button>
+            </Modal.Footer>
+          </>
+        ) : (
+          <Form onSubmit={handleCreate} noValidate>
+            <Modal.Body>
+              {error && (
+                <Alert variant="danger" className="mb-3">
+                  {error}
+                </Alert>
+              )}
+
+              <Form.Group className="mb-3">
+                <Form.Label>Name</Form.Label>
+                <Form.Control
+                  type="text"
+                  placeholder="e.g. Nightly task import"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={100}
+                />
+              </Form.Group>
+
+              <Form.Group className="mb-3">
+                <Form.Label>Scopes</Form.Label>
+                {SCOPES.map(scope => (
+                  <Form.Check
+                    key={scope.value}
+                    type="checkbox"
+                    id={`scope-${scope.value}`}
+                    label={<><code>{scope.value}</code> – {scope.label}</>}
+                    checked={scopes.includes(scope.value)}
+                    onChange={() => toggleScope(scope.value)}
+                  />
+                ))}
+              </Form.Group>
+
+              <Form.Group>
+                <Form.Label>Expiration</Form.Label>
+                <Form.Select
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(e.target.value)}
+                >
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={closeModal}>
+                Cancel
+              </Button>
+              <Button variant="primary" type="submit" disabled={saving}>
+                {saving ? 'Generating...' : 'Generate Token'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AccessTokens;
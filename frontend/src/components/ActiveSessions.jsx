@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Badge, Spinner } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { authService } from '../services/authService';
+import { useDateFormat } from '../utils/dates';
+import { describeDevice } from '../utils/devices';
+
+const ActiveSessions = () => {
+  const { formatDateTime } = useDateFormat();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authService.getSessions();
+      if (response.success) {
+        setSessions(response.data.sessions);
+      }
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      const response = await authService.revokeSession(sessionId);
+      if (response.success) {
+        setSessions(sessions.filter(session => session.id !== sessionId));
+        toast.success('Session signed out');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out session.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking('others');
+      const response = await authService.revokeOtherSessions();
+      if (response.success) {
+        setSessions(sessions.filter(session => session.current));
+        toast.success(response.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out other sessions.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className="mb-3">
+      <h6>Active Sessions</h6>
+      <p className="text-muted mb-2">
+        Devices currently signed in to your account. Sign out any you don't recognise.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : (
+        <>
+          <Table responsive size="sm" className="align-middle">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session.id}>
+                  <td>
+                    {describeDevice(session.userAgent)}{' '}
+                    {session.current && <Badge bg="success">This device</Badge>}
+                  </td>
+                  <td>{session.ip || '—'}</td>
+                  <td>{formatDateTime(session.createdAt)}</td>
+                  <td>{formatDateTime(session.lastSeenAt)}</td>
+                  <td className="text-end">
+                    {!session.current && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleRevoke(session.id)}
+                        disabled={revoking !== null}
+                      >
+                        {revoking === session.id ? 'Revoking...' : 'Revoke'}
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            onClick={handleRevokeOthers}
+            disabled={!hasOtherSessions || revoking !== null}
+          >
+            {revoking === 'others' ? 'Signing out...' : 'Sign Out Other Sessions'}
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { Offcanvas, Form, Button, Badge, Row, Col, Spinner, Alert } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { userService } from '../services/userService';
+import { useDateFormat } from '../utils/dates';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const TASK_COUNTS = [
+  { key: 'total', label: 'Total', className: 'text-primary' },
+  { key: 'pending', label: 'Pending', className: 'text-warning' },
+  { key: 'in-progress', label: 'In Progress', className: 'text-info' },
+  { key: 'completed', label: 'Completed', className: 'text-success' },
+];
+
+const AdminUserDrawer = ({ userId, roles, onHide, onUserUpdated }) => {
+  const { user: currentUser, hasPermission, startImpersonation } = useAuth();
+  const { formatDateTime } = useDateFormat();
+  const navigate = useNavigate();
+  const [details, setDetails] = useState(null);
+  const [role, setRole] = useState('');
+  const [impersonationReason, setImpersonationReason] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(null);
+
+  const canManage = hasPermission('users:manage');
+  const canImpersonate = hasPermission('users:impersonate');
+  const isSelf = details && String(details.user._id) === String(currentUser?._id);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const fetchUser = async () => {
+      try {
+        setDetails(null);
+        setImpersonationReason('');
+        setError('');
+
+        const response = await userService.getUser(userId);
+        if (response.success) {
+          setDetails(response.data);
+          setRole(response.data.user.role);
+        }
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load user.');
+      }
+    };
+
+    fetchUser();
+  }, [userId]);
+
+  // Run an admin action and refresh the drawer and table with the returned user
+  const runAction = async (key, action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    try {
+      setSaving(key);
+
+      const response = await action();
+      if (response.success) {
+        toast.success(response.message);
+
+        if (response.data?.user) {
+          setDetails({ ...details, user: response.data.user });
+          setRole(response.data.user.role);
+          onUserUpdated(response.data.user);
+        }
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed. Please try again.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleRoleSave = (e) => {
+    e.preventDefault();
+    runAction('role', () => userService.updateUserRole(userId, role));
+  };
+
+  const handleToggleActive = () => {
+    const { user } = details;
+
+    if (user.isActive) {
+      runAction(
+        'active',
+        () => userService.deactivateUser(userId),
+        `Deactivate ${user.name}'s account? They will be signed out everywhere.`
+      );
+    } else {
+      runAction('active', () => userService.reactivateUser(userId));
+    }
+  };
+
+  const handleForceReset = () => {
+    runAction(
+      'reset',
+      () => userService.forcePasswordReset(userId),
+      `Require ${details.user.name} to choose a new password? They will be signed out and emailed a reset link.`
+    );
+  };
+
+  const handleUnlock = () => {
+    runAction('unlock', () => userService.unlockUser(userId));
+  };
+
+  const handleImpersonate = async (e) => {
+    e.preventDefault();
+
+    setSaving('impersonate');
+    const result = await startImpersonation(userId, impersonationReason.trim());
+    setSaving(null);
+
+    if (result.success) {
+      onHide();
+      navigate('/dashboard');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  return (
+    <Offcanvas show={!!userId} onHide={onHide} placement="end">
+      <Offcanvas.Header closeButton>
+        <Offcanvas.Title>{details ? details.user.name : 'User'}</Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body>
+        {error && (
+          <Alert variant="danger">{error}</Alert>
+        )}
+
+        {!details && !error && (
+          <div className="text-center py-4">
+            <Spinner animation="border" role="status">
+              <span className="visually-hidden">Loading...</span>
+            </Spinner>
+          </div>
+        )}
+
+        {details && (
+          <>
+            <div className="mb-4">
+              <p className="text-muted mb-2">{details.user.email}</p>
+              <Badge bg="primary" className="me-2">{capitalize(details.user.role)}</Badge>
+              <Badge bg={details.user.isActive ? 'success' : 'secondary'} className="me-2">
+                {details.user.isActive ? 'Active' : 'Deactivated'}
+              </Badge>
+              {!details.user.emailVerified && (
+                <Badge bg="warning" text="dark" className="me-2">Email unverified</Badge>
+              )}
+              {details.user.twoFactorEnabled && (
+                <Badge bg="info" className="me-2">2FA</Badge>
+              )}
+              {details.user.passwordResetRequired && (
+                <Badge bg="danger">Password reset pending</Badge>
+              )}
+            </div>
+
+            <Row className="mb-4 small">
+              <Col xs={6}>
+                <div className="text-muted">Joined</div>
+                <div>{formatDateTime(details.user.createdAt)}</div>
+              </Col>
+              <Col xs={6}>
+                <div className="text-muted">Last login</div>
+                <div>{details.user.lastLogin ? formatDateTime(details.user.lastLogin) : 'Never'}</div>
+              </Col>
+            </Row>
+
+            <h6>Tasks</h6>
+            <Row className="text-center mb-4">
+              {TASK_COUNTS.map(count => (
+                <Col key={count.key}>
+                  <div className={`fw-bold ${count.className}`}>
+                    {details.taskCounts[count.key]}
+                  </div>
+                  <small className="text-muted">{count.label}</small>
+                </Col>
+              ))}
+            </Row>
+
+            {canManage && (
+              isSelf ? (
+                <p className="text-muted small">
+                  You can't change your own role or deactivate your own account here.
+                </p>
+              ) : (
+                <>
+                  <Form onSubmit={handleRoleSave} className="mb-4">
+                    <Form.Label>Role</Form.Label>
+                    <div className="d-flex gap-2">
+                      <Form.Select value={role} onChange={(e) => setRole(e.target.value)}>
+                        {roles.map(item => (
+                          <option key={item.name} value={item.name}>
+                            {capitalize(item.name)}
+                          </option>
+                        ))}
+                      </Form.Select>
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        type="submit"
+                        disabled={role === details.user.role || saving !== null}
+                      >
+                        Save
+                      </Button>
+                    </div>
+                    <Form.Text className="text-muted">
+                      {roles.find(item => item.name === role)?.permissions.join(', ')}
+                    </Form.Text>
+                  </Form>
+
+                  <h6>Account</h6>
+                  <div className="d-grid gap-2">
+                    <Button
+                      variant={details.user.isActive ? 'outline-danger' : 'outline-success'}
+                      onClick={handleToggleActive}
+                      disabled={saving !== null}
+                    >
+                      {details.user.isActive ? 'Deactivate Account' : 'Reactivate Account'}
+                    </Button>
+                    {details.user.isActive && (
+                      <Button
+                        variant="outline-warning"
+                        onClick={handleForceReset}
+                        disabled={saving !== null}
+                      >
+                        Force Password Reset
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline-secondary"
+                      onClick={handleUnlock}
+                      disabled={saving !== null}
+                    >
+                      Unlock Login
+                    </Button>
+                  </div>
+                </>
+              )
+            )}
+
+            {canImpersonate && !isSelf && details.user.isActive && (
+              <Form onSubmit={handleImpersonate} className="mt-4">
+                <h6>View as User</h6>
+                <Form.Group className="mb-2">
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    placeholder="Reason, e.g. the support ticket you're working on"
+                    value={impersonationReason}
+                    onChange={(e) => setImpersonationReason(e.target.value)}
+                    maxLength={500}
+                  />
+                  <Form.Text className="text-muted">
+                    You'll see the app exactly as {details.user.name} does for a limited time.
+                    The reason and every request you make are logged.
+                  </Form.Text>
+                </Form.Group>
+                <div className="d-grid">
+                  <Button
+                    variant="outline-dark"
+                    type="submit"
+                    disabled={impersonationReason.trim().length < 3 || saving !== null}
+                  >
+                    {saving === 'impersonate' ? 'Starting...' : `View as ${details.user.name}`}
+                  </Button>
+                </div>
+              </Form>
+            )}
+          </>
+        )}
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+};
+
+export default AdminUserDrawer;
@@ -0,0 +1,139 @@
+import React, { useRef, useState } from 'react';
+import { Button, ProgressBar } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { userService } from '../services/userService';
+
+// Matches the backend's accepted types and AVATAR_MAX_SIZE_MB
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_SIZE_MB = 5;
+
+const AvatarUploader = ({ onAvatarChange }) => {
+  const { user, updateUser } = useAuth();
+  const fileInputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [removing, setRemoving] = useState(false);
+
+  const uploading = progress !== null;
+
+  const handleAvatarUpdated = (updatedUser) => {
+    updateUser(updatedUser);
+    onAvatarChange?.(updatedUser.avatar || '');
+  };
+
+  const uploadFile = async (file) => {
+    if (!file) return;
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      toast.error('Avatar must be a JPEG, PNG, WebP or GIF image');
+      return;
+    }
+
+    if (file.size > MAX_SIZE_MB * 1024 * 1024) {
+      toast.error(`Avatar must be ${MAX_SIZE_MB} MB or smaller`);
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    try {
+      setProgress(0);
+
+      const response = await userService.uploadAvatar(formData, (event) => {
+        if (event.total) {
+          setProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      });
+
+      if (response.success) {
+        handleAvatarUpdated(response.data.user);
+        toast.success('Avatar updated!');
+      }
+    } catch (error) {
+      console.error('Avatar upload error:', error);
+    } finally {
+      setProgress(null);
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+
+    if (!uploading) {
+      uploadFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setRemoving(true);
+
+      const response = await userService.deleteAvatar();
+      if (response.success) {
+        handleAvatarUpdated(response.data.user);
+        toast.success('Avatar removed');
+      }
+    } catch (error) {
+      console.error('Avatar removal error:', error);
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <div
+        className={`border border-2 rounded p-4 text-center ${
+          dragging ? 'border-primary bg-light' : 'border-secondary-subtle'
+        }`}
+        style={{ borderStyle: 'dashed', cursor: uploading ? 'default' : 'pointer' }}
+        onClick={() => !uploading && fileInputRef.current.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        {uploading ? (
+          <>
+            <p className="mb-2">Uploading...</p>
+            <ProgressBar now={progress} label={`${progress}%`} animated />
+          </>
+        ) : (
+          <>
+            <p className="mb-1">📷 Drag an image here, or click to choose one</p>
+            <small className="text-muted">
+              JPEG, PNG, WebP or GIF up to {MAX_SIZE_MB} MB. It will be cropped to a square.
+            </small>
+          </>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          className="d-none"
+          onChange={(e) => uploadFile(e.target.files[0])}
+        />
+      </div>
+
+      {user?.avatar && (
+        <Button
+          variant="link"
+          size="sm"
+          className="text-danger px-0"
+          onClick={handleRemove}
+          disabled={uploading || removing}
+        >
+          {removing ? 'Removing...' : 'Remove avatar'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default AvatarUploader;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Modal, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+// Validation schema
+const changeEmailSchema = yup.object({
+  newEmail: yup
+    .string()
+    .required('New email is required')
+    .email('Please enter a valid email address'),
+  password: yup
+    .string()
+    .required('Current password is required'),
+});
+
+const ChangeEmailModal = ({ show, onHide }) => {
+  const { user, updateUser } = useAuth();
+  const [changeError, setChangeError] = useState('');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+    reset,
+  } = useForm({
+    resolver: yupResolver(changeEmailSchema),
+    defaultValues: {
+      newEmail: '',
+      password: '',
+    }
+  });
+
+  const handleClose = () => {
+    reset();
+    setChangeError('');
+    onHide();
+  };
+
+  const onSubmit = async (data) => {
+    setChangeError('');
+
+    try {
+      const response = await authService.changeEmail(data.newEmail, data.password);
+
+      if (response.success) {
+        updateUser({ ...user, pendingEmail: response.data.pendingEmail });
+        toast.success(response.message, { duration: 8000 });
+        handleClose();
+      } else {
+        setChangeError(response.message || 'Failed to change email. Please try again.');
+      }
+    } catch (error) {
+      setChangeError(error.response?.data?.message || 'Failed to change email. Please try again.');
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose}>
+      <Modal.Header closeButton>
+        <Modal.Title>✉️ Change Email Address</Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <Modal.Body>
+          {changeError && (
+            <Alert variant="danger" className="mb-3">
+              {changeError}
+            </Alert>
+          )}
+
+          <Form.Group className="mb-3">
+            <Form.Label>New Email Address</Form.Label>
+            <Form.Control
+              type="email"
+              placeholder="Enter your new email address"
+              {...register('newEmail')}
+              isInvalid={!!errors.newEmail}
+              autoComplete="email"
+            />
+            <Form.Control.Feedback type="invalid">
+              {errors.newEmail?.message}
+            </Form.Control.Feedback>
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Current Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="Enter your current password"
+              {...register('password')}
+              isInvalid={!!errors.password}
+              autoComplete="current-password"
+            />
+            <Form.Control.Feedback type="invalid">
+              {errors.password?.message}
+            </Form.Control.Feedback>
+          </Form.Group>
+
+          <Form.Text className="text-muted">
+            We'll send a confirmation link to the new address and let {user?.email} know.
+            Your email address only changes once you open the link.
+          </Form.Text>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={handleClose}>
+            Cancel
+          </Button>
+          <Button variant="primary" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" className="me-2" />
+                Sending...
+              </>
+            ) : (
+              'Send Confirmation Link'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ChangeEmailModal;
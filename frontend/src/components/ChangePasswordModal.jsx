@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Modal, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { useAuth } from '../context/AuthContext';
+
+// Validation schema (same password rules as registration)
+const changePasswordSchema = yup.object({
+  currentPassword: yup
+    .string()
+    .required('Current password is required'),
+  newPassword: yup
+    .string()
+    .required('New password is required')
+    .min(6, 'Password must be at least 6 characters')
+    .matches(
+      /^(?=.*[a-zA-Z])(?=.*[0-9])/,
+      'Password must contain at least one letter and one number'
+    )
+    .notOneOf([yup.ref('currentPassword')], 'New password must be different from the current password'),
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your new password')
+    .oneOf([yup.ref('newPassword')], 'Passwords must match'),
+});
+
+const ChangePasswordModal = ({ show, onHide }) => {
+  const { changePassword } = useAuth();
+  const [changeError, setChangeError] = useState('');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+    reset,
+  } = useForm({
+    resolver: yupResolver(changePasswordSchema),
+    defaultValues: {
+      currentPassword: '',
+      newPassword: '',
+      confirmPassword: '',
+    }
+  });
+
+  const handleClose = () => {
+    reset();
+    setChangeError('');
+    onHide();
+  };
+
+  const onSubmit = async (data) => {
+    setChangeError('');
+
+    const result = await changePassword(data.currentPassword, data.newPassword);
+
+    if (result.success) {
+      handleClose();
+    } else {
+      setChangeError(result.message || 'Failed to change password. Please try again.');
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose}>
+      <Modal.Header closeButton>
+        <Modal.Title>🔑 Change Password</Modal.Title>
+      </Modal.Header>
+
+      <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <Modal.Body>
+          {changeError && (
+            <Alert variant="danger" className="mb-3">
+              {changeError}
+            </Alert>
+          )}
+
+          <Form.Group className="mb-3">
+            <Form.Label>Current Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="Enter your current password"
+              {...register('currentPassword')}
+              isInvalid={!!errors.currentPassword}
+              autoComplete="current-password"
+            />
+            <Form.Control.Feedback type="invalid">
+              {errors.currentPassword?.message}
+            </Form.Control.Feedback>
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>New Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="Enter a new password"
+              {...register('newPassword')}
+              isInvalid={!!errors.newPassword}
+              autoComplete="new-password"
+            />
+            <Form.Control.Feedback type="invalid">
+              {errors.newPassword?.message}
+            </Form.Control.Feedback>
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Confirm New Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="Confirm your new password"
+              {...register('confirmPassword')}
+              isInvalid={!!errors.confirmPassword}
+              autoComplete="new-password"
+            />
+            <Form.Control.Feedback type="invalid">
+              {errors.confirmPassword?.message}
+            </Form.Control.Feedback>
+          </Form.Group>
+
+          <Form.Text className="text-muted">
+            You will be signed out on all your other devices, and your access tokens will be revoked.
+          </Form.Text>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={handleClose}>
+            Cancel
+          </Button>
+          <Button variant="primary" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? (
+              <>
+                <Spinner as="span" animation="border" size="sm" className="me-2" />
+                Changing...
+              </>
+            ) : (
+              'Change Password'
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ChangePasswordModal;
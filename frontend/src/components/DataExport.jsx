@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Spinner } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { userService } from '../services/userService';
+import { useDateFormat } from '../utils/dates';
+
+// How often to check on an export that is still being prepared
+const POLL_INTERVAL = 3000;
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const DataExport = () => {
+  const { formatDateTime } = useDateFormat();
+  const [dataExport, setDataExport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [requesting, setRequesting] = useState(false);
+
+  const fetchDataExport = useCallback(async () => {
+    try {
+      const response = await userService.getDataExport();
+      if (response.success) {
+        setDataExport(response.data.dataExport);
+        return response.data.dataExport;
+      }
+    } catch (error) {
+      console.error('Error fetching data export:', error);
+    } finally {
+      setLoading(false);
+    }
+    return null;
+  }, []);
+
+  useEffect(() => {
+    fetchDataExport();
+  }, [fetchDataExport]);
+
+  // Keep checking until the archive is ready
+  useEffect(() => {
+    if (dataExport?.status !== 'pending') return undefined;
+
+    const timer = setTimeout(fetchDataExport, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [dataExport, fetchDataExport]);
+
+  const handleRequest = async () => {
+    try {
+      setRequesting(true);
+      const response = await userService.requestDataExport();
+      if (response.success) {
+        setDataExport(response.data.dataExport);
+        toast.success(response.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start data export.');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  // Download links are short-lived, so get a fresh one right before downloading
+  const handleDownload = async () => {
+    const latest = await fetchDataExport();
+
+    if (latest?.downloadUrl) {
+      window.location.assign(latest.downloadUrl);
+    } else {
+      toast.error('This export is no longer available. Please request a new one.');
+    }
+  };
+
+  const status = dataExport?.status;
+
+  return (
+    <div className="mb-3">
+      <h6>Download Your Data</h6>
+      <p className="text-muted mb-2">
+        Get a copy of your profile, tasks, settings and account activity as JSON and CSV files in a zip archive.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : (
+        <>
+          {status === 'pending' && (
+            <p className="small mb-2">
+              <Spinner animation="border" size="sm" className="me-2" />
+              Preparing your archive. This page will update when it's ready.
+            </p>
+          )}
+
+          {status === 'ready' && (
+            <p className="small mb-2">
+              Your archive from {formatDateTime(dataExport.completedAt)} ({formatSize(dataExport.size)}) can
+              be downloaded until {formatDateTime(dataExport.expiresAt)}.
+            </p>
+          )}
+
+          {status === 'failed' && (
+            <p className="small text-danger mb-2">
+              We couldn't prepare your last export. Please try again.
+            </p>
+          )}
+
+          {status === 'expired' && (
+            <p className="small text-muted mb-2">
+              Your last export has expired. Request a new one to download your data.
+            </p>
+          )}
+
+          <div className="d-flex gap-2">
+            {status === 'ready' && dataExport.downloadUrl && (
+              <Button variant="primary" size="sm" onClick={handleDownload}>
+                Download Archive
+              </Button>
+            )}
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={handleRequest}
+              disabled={requesting || status === 'pending'}
+            >
+              {requesting ? 'Requesting...' : status === 'ready' ? 'Request New Export' : 'Request Data Export'}
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DataExport;
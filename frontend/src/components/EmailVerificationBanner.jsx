@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { Alert, Button } from 'react-bootstrap';
+import { useAuth } from '../context/AuthContext';
+
+const EmailVerificationBanner = ({ className = '' }) => {
+  const { isAuthenticated, user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  // Nothing to show once the address is verified
+  if (!isAuthenticated || !user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    await resendVerification();
+    setSending(false);
+  };
+
+  return (
+    <Alert variant="warning" className={`d-flex justify-content-between align-items-center ${className}`}>
+      <span>
+        📧 Please verify your email address <strong>{user.email}</strong>.
+        Some features are limited until you do.
+      </span>
+      <Button
+        variant="outline-dark"
+        size="sm"
+        className="ms-3 flex-shrink-0"
+        onClick={handleResend}
+        disabled={sending}
+      >
+        {sending ? 'Sending...' : 'Resend Email'}
+      </Button>
+    </Alert>
+  );
+};
+
+export default EmailVerificationBanner;
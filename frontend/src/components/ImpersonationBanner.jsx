@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { Alert, Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useDateFormat } from '../utils/dates';
+
+// Shown on every page while an admin is viewing the app as another user
+const ImpersonationBanner = () => {
+  const { impersonation, user, stopImpersonation } = useAuth();
+  const { formatTime } = useDateFormat();
+  const [exiting, setExiting] = useState(false);
+  const navigate = useNavigate();
+
+  if (!impersonation || !user) {
+    return null;
+  }
+
+  const handleExit = async () => {
+    setExiting(true);
+    await stopImpersonation();
+    setExiting(false);
+    navigate('/admin');
+  };
+
+  return (
+    <Alert
+      variant="danger"
+      className="d-flex justify-content-between align-items-center mb-0 rounded-0 sticky-top"
+      style={{ top: '70px', zIndex: 1020 }}
+    >
+      <span>
+        👀 Viewing as <strong>{user.name}</strong> ({user.email}).
+        Your actions are logged. This session ends at {formatTime(impersonation.expiresAt)}.
+      </span>
+      <Button
+        variant="light"
+        size="sm"
+        className="ms-3 flex-shrink-0"
+        onClick={handleExit}
+        disabled={exiting}
+      >
+        {exiting ? 'Exiting...' : 'Exit'}
+      </Button>
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
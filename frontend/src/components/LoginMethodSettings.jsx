@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Spinner } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { authService } from '../services/authService';
+
+const METHODS = [
+  {
+    key: 'password',
+    label: 'Email and password',
+    description: 'Users sign in with their email address and password.',
+  },
+  {
+    key: 'magicLink',
+    label: 'Magic link',
+    description: 'Users get a single-use sign-in link by email instead of typing a password.',
+  },
+];
+
+const LoginMethodSettings = () => {
+  const [loginMethods, setLoginMethods] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    const fetchLoginMethods = async () => {
+      try {
+        const response = await authService.getLoginMethods();
+        if (response.success) {
+          setLoginMethods(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching login methods:', error);
+      }
+    };
+
+    fetchLoginMethods();
+  }, []);
+
+  const handleToggle = async (key) => {
+    try {
+      setSaving(key);
+
+      const response = await authService.updateLoginMethods({ [key]: !loginMethods[key] });
+      if (response.success) {
+        setLoginMethods({ ...loginMethods, ...response.data });
+        toast.success(response.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update login methods.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (!loginMethods) {
+    return (
+      <div className="text-center py-3">
+        <Spinner animation="border" size="sm" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {METHODS.map(method => (
+        <Form.Group key={method.key} className="mb-3">
+          <Form.Check
+            type="switch"
+            id={`login-method-${method.key}`}
+            label={method.label}
+            checked={loginMethods[method.key]}
+            disabled={saving !== null}
+            onChange={() => handleToggle(method.key)}
+          />
+          <Form.Text className="text-muted">{method.description}</Form.Text>
+        </Form.Group>
+      ))}
+
+      <p className="text-muted small mb-0">
+        {loginMethods.sso.enabled
+          ? `Single sign-on with ${loginMethods.sso.providerName} is always available.`
+          : 'Single sign-on is not configured.'}
+      </p>
+    </>
+  );
+};
+
+export default LoginMethodSettings;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { authService } from '../services/authService';
+
+// Validation schema
+const magicLinkSchema = yup.object({
+  email: yup
+    .string()
+    .email('Please enter a valid email address')
+    .required('Email is required'),
+});
+
+const MagicLinkForm = ({ onUsePassword }) => {
+  const [requestError, setRequestError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: yupResolver(magicLinkSchema),
+    defaultValues: {
+      email: '',
+    }
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      setRequestError('');
+
+      const response = await authService.requestMagicLink(data.email);
+
+      if (response.success) {
+        setSentMessage(response.message);
+      } else {
+        setRequestError(response.message || 'Request failed. Please try again.');
+      }
+    } catch (error) {
+      setRequestError(error.response?.data?.message || 'Request failed. Please try again.');
+    }
+  };
+
+  if (sentMessage) {
+    return (
+      <Alert variant="success" className="mb-3">
+        ✉️ {sentMessage} Open it on this device to sign in.
+      </Alert>
+    );
+  }
+
+  return (
+    <>
+      {requestError && (
+        <Alert variant="danger" className="mb-3">
+          {requestError}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <Form.Group className="mb-4">
+          <Form.Label>Email Address</Form.Label>
+          <Form.Control
+            type="email"
+            placeholder="Enter your email"
+            {...register('email')}
+            isInvalid={!!errors.email}
+            autoComplete="email"
+          />
+          <Form.Control.Feedback type="invalid">
+            {errors.email?.message}
+          </Form.Control.Feedback>
+        </Form.Group>
+
+        <Button
+          variant="primary"
+          type="submit"
+          className="w-100 mb-3"
+          size="lg"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? (
+            <>
+              <Spinner
+                as="span"
+                animation="border"
+                size="sm"
+                role="status"
+                aria-hidden="true"
+                className="me-2"
+              />
+              Sending...
+            </>
+          ) : (
+            'Email Me a Sign-In Link'
+          )}
+        </Button>
+
+        {onUsePassword && (
+          <div className="text-center mb-3">
+            <Button variant="link" className="auth-link p-0" onClick={onUsePassword}>
+              Sign in with your password instead
+            </Button>
+          </div>
+        )}
+      </Form>
+    </>
+  );
+};
+
+export default MagicLinkForm;
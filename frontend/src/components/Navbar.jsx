@@ -3,8 +3,15 @@ import { Navbar as BootstrapNavbar, Nav, NavDropdown, Container, Button } from '
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../context/AuthContext';
 
+// Main navigation links, shown only to users with the permission they need
+const NAV_LINKS = [
+  { to: '/dashboard', label: 'Dashboard', permission: 'tasks:read' },
+  { to: '/tasks', label: 'Tasks', permission: 'tasks:read' },
+  { to: '/admin', label: 'Admin', permission: 'users:read' },
+];
+
 const Navbar = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, resendVerification, hasPermission, impersonation, stopImpersonation } = useAuth();
 
   const handleLogout = () => {
     logout();
@@ -35,25 +42,29 @@ const Navbar = () => {
         
         <BootstrapNavbar.Collapse id="basic-navbar-nav">
           <Nav className="me-auto">
-            {isAuthenticated && (
-              <>
-                <LinkContainer to="/dashboard">
-                  <Nav.Link className="text-white fw-medium">
-                    Dashboard
-                  </Nav.Link>
-                </LinkContainer>
-                <LinkContainer to="/tasks">
+            {isAuthenticated && NAV_LINKS
+              .filter(link => hasPermission(link.permission))
+              .map(link => (
+                <LinkContainer key={link.to} to={link.to}>
                   <Nav.Link className="text-white fw-medium">
-                    Tasks
+                    {link.label}
                   </Nav.Link>
                 </LinkContainer>
-              </>
-            )}
+              ))}
           </Nav>
 
           <Nav className="ms-auto">
             {isAuthenticated ? (
               <>
+                {user && !user.emailVerified && (
+                  <Nav.Link
+                    className="text-warning fw-medium"
+                    onClick={resendVerification}
+                    title="Resend verification email"
+                  >
+                    ⚠️ Verify your email
+                  </Nav.Link>
+                )}
                 <NavDropdown
                   title={
                     <span className="text-white fw-medium">
@@ -69,9 +80,15 @@ const Navbar = () => {
                     </NavDropdown.Item>
                   </LinkContainer>
                   <NavDropdown.Divider />
-                  <NavDropdown.Item onClick={handleLogout}>
-                    🚪 Logout
-                  </NavDropdown.Item>
+                  {impersonation ? (
+                    <NavDropdown.Item onClick={stopImpersonation}>
+                      ↩️ Exit Impersonation
+                    </NavDropdown.Item>
+                  ) : (
+                    <NavDropdown.Item onClick={handleLogout}>
+                      🚪 Logout
+                    </NavDropdown.Item>
+                  )}
                 </NavDropdown>
               </>
             ) : (
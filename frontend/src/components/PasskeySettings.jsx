@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Form, Button, Alert, Table, Badge, Spinner } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { startRegistration, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { authService } from '../services/authService';
+import { useDateFormat } from '../utils/dates';
+
+const PasskeySettings = () => {
+  const { formatDate } = useDateFormat();
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [registering, setRegistering] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const response = await authService.getPasskeys();
+      if (response.success) {
+        setPasskeys(response.data.passkeys);
+      }
+    } catch (error) {
+      console.error('Error fetching passkeys:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const handleAdd = async () => {
+    try {
+      setRegistering(true);
+      setError('');
+
+      const optionsResponse = await authService.getPasskeyRegistrationOptions();
+      const { options, challengeToken } = optionsResponse.data;
+
+      // Prompts the user to create the passkey on this device or a security key
+      const credential = await startRegistration({ optionsJSON: options });
+
+      const response = await authService.verifyPasskeyRegistration(challengeToken, credential);
+      if (response.success) {
+        setPasskeys([...passkeys, response.data.passkey]);
+        toast.success('Passkey added');
+      }
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        // The user closed the browser's passkey prompt
+        return;
+      }
+
+      if (error.name === 'InvalidStateError') {
+        setError('This device already has a passkey for your account.');
+      } else {
+        setError(error.response?.data?.message || 'Failed to add passkey.');
+      }
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const openRename = (passkey) => {
+    setRenaming(passkey);
+    setNewName(passkey.name);
+  };
+
+  const closeRename = () => {
+    setRenaming(null);
+    setNewName('');
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+
+    if (!newName.trim()) return;
+
+    try {
+      const response = await authService.renamePasskey(renaming.id, newName.trim());
+      if (response.success) {
+        setPasskeys(passkeys.map(item => (item.id === renaming.id ? response.data.passkey : item)));
+        toast.success('Passkey renamed');
+        closeRename();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rename passkey.');
+    }
+  };
+
+  const handleDelete = async (passkey) => {
+    const confirmed = window.confirm(
+      `Remove "${passkey.name}"? You won't be able to sign in with it anymore.`
+    );
+
+    if (!confirmed) return;
+
+    try {
+      const response = await authService.deletePasskey(passkey.id);
+      if (response.success) {
+        setPasskeys(passkeys.filter(item => item.id !== passkey.id));
+        toast.success('Passkey removed');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove passkey.');
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <h6>Passkeys</h6>
+      <p className="text-muted mb-2">
+        Sign in with your fingerprint, face or device PIN instead of a password.
+        Passkeys can't be phished or reused on other sites.
+      </p>
+
+      {error && (
+        <Alert variant="danger" className="mb-2">
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : passkeys.length > 0 && (
+        <Table responsive size="sm" className="align-middle">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Added</th>
+              <th>Last Used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {passkeys.map(passkey => (
+              <tr key={passkey.id}>
+                <td>
+                  {passkey.name}
+                  {passkey.backedUp && (
+                    <Badge bg="light" text="dark" className="ms-2">Synced</Badge>
+                  )}
+                </td>
+                <td>{formatDate(passkey.createdAt)}</td>
+                <td>{passkey.lastUsedAt ? formatDate(passkey.lastUsedAt) : 'Never'}</td>
+                <td className="text-end text-nowrap">
+                  <Button variant="outline-secondary" size="sm" className="me-2" onClick={() => openRename(passkey)}>
+                    Rename
+                  </Button>
+                  <Button variant="outline-danger" size="sm" onClick={() => handleDelete(passkey)}>
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      {browserSupportsWebAuthn() ? (
+        <Button variant="outline-primary" size="sm" onClick={handleAdd} disabled={registering}>
+          {registering ? 'Waiting for your device...' : 'Add a Passkey'}
+        </Button>
+      ) : (
+        <p className="text-muted small mb-0">This browser doesn't support passkeys.</p>
+      )}
+
+      {/* Rename Passkey Modal */}
+      <Modal show={!!renaming} onHide={closeRename}>
+        <Modal.Header closeButton>
+          <Modal.Title>Rename Passkey</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleRename}>
+          <Modal.Body>
+            <Form.Group>
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                maxLength={50}
+                autoFocus
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeRename}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={!newName.trim()}>
+              Save
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default PasskeySettings;
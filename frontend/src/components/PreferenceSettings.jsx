@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import {
+  PAGE_SIZES,
+  TASK_SORT_OPTIONS,
+  LANDING_PAGES,
+  THEMES,
+  NOTIFICATION_OPTIONS,
+} from '../utils/preferences';
+
+const PreferenceSettings = () => {
+  const { preferences, updatePreferences } = useAuth();
+  const [saving, setSaving] = useState(false);
+
+  // Each setting is saved as soon as it changes
+  const savePreferences = async (changes) => {
+    setSaving(true);
+    const result = await updatePreferences(changes);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Preferences saved');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
+  return (
+    <>
+      <Row>
+        <Col md={6}>
+          <Form.Group className="mb-3" controlId="preference-landing-page">
+            <Form.Label>After signing in, open</Form.Label>
+            <Form.Select
+              value={preferences.landingPage}
+              disabled={saving}
+              onChange={(e) => savePreferences({ landingPage: e.target.value })}
+            >
+              {LANDING_PAGES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+
+        <Col md={6}>
+          <Form.Group className="mb-3" controlId="preference-theme">
+            <Form.Label>Theme</Form.Label>
+            <Form.Select
+              value={preferences.theme}
+              disabled={saving}
+              onChange={(e) => savePreferences({ theme: e.target.value })}
+            >
+              {THEMES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col md={6}>
+          <Form.Group className="mb-3" controlId="preference-page-size">
+            <Form.Label>Tasks per page</Form.Label>
+            <Form.Select
+              value={preferences.tasks.pageSize}
+              disabled={saving}
+              onChange={(e) => savePreferences({ tasks: { pageSize: Number(e.target.value) } })}
+            >
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+
+        <Col md={6}>
+          <Form.Group className="mb-3" controlId="preference-sort">
+            <Form.Label>Sort tasks by</Form.Label>
+            <Form.Select
+              value={preferences.tasks.sort}
+              disabled={saving}
+              onChange={(e) => savePreferences({ tasks: { sort: e.target.value } })}
+            >
+              {TASK_SORT_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      <p className="text-muted small">
+        Default task filters can be saved from the Tasks page.
+      </p>
+
+      <hr />
+
+      <h6>Email Notifications</h6>
+      {NOTIFICATION_OPTIONS.map(option => (
+        <Form.Group key={option.key} className="mb-3">
+          <Form.Check
+            type="switch"
+            id={`notification-${option.key}`}
+            label={option.label}
+            checked={preferences.notifications[option.key]}
+            disabled={saving}
+            onChange={(e) => savePreferences({ notifications: { [option.key]: e.target.checked } })}
+          />
+          <Form.Text className="text-muted">{option.description}</Form.Text>
+        </Form.Group>
+      ))}
+    </>
+  );
+};
+
+export default PreferenceSettings;
@@ -3,8 +3,8 @@ import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from './LoadingSpinner';
 
-const ProtectedRoute = ({ children, redirectTo = '/login' }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const ProtectedRoute = ({ children, redirectTo = '/login', permission }) => {
+  const { isAuthenticated, isLoading, hasPermission } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking authentication
@@ -23,6 +23,11 @@ const ProtectedRoute = ({ children, redirectTo = '/login' }) => {
     );
   }
 
+  // Signed in but not allowed to use this page
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/profile" replace />;
+  }
+
   // If authenticated, render the protected component
   return children;
 };
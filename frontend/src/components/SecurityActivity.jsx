@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Button, Badge, Form, Spinner } from 'react-bootstrap';
+import { userService } from '../services/userService';
+import { useDateFormat } from '../utils/dates';
+import { describeDevice } from '../utils/devices';
+
+const PAGE_SIZE = 10;
+
+// How each event type reads in the list
+const EVENT_LABELS = {
+  'auth.login': 'Sign-in',
+  'auth.token_rejected': 'Rejected sign-in token',
+  'password.changed': 'Password changed',
+  'password.reset': 'Password reset',
+  'two_factor.enabled': 'Two-factor authentication enabled',
+  'two_factor.disabled': 'Two-factor authentication disabled',
+  'passkey.added': 'Passkey added',
+  'passkey.removed': 'Passkey removed',
+  'access_token.created': 'Access token created',
+  'access_token.revoked': 'Access token revoked',
+  'session.revoked': 'Signed out sessions',
+  'profile.updated': 'Profile updated',
+  'email.verified': 'Email address verified',
+  'email.change_requested': 'Email change requested',
+  'email.changed': 'Email address changed',
+  'account.deletion_requested': 'Account deletion requested',
+  'account.deletion_cancelled': 'Account deletion cancelled',
+};
+
+const LOGIN_METHODS = {
+  password: 'password',
+  'magic-link': 'magic link',
+  passkey: 'passkey',
+  sso: 'single sign-on',
+  'two-factor': 'two-factor code',
+};
+
+// Extra detail shown under the event name, e.g. "with passkey"
+const describeDetails = (event) => {
+  const { method, name, newEmail, previousEmail } = event.details || {};
+  if (method) return `with ${LOGIN_METHODS[method] || method}`;
+  if (name) return name;
+  if (newEmail) return `to ${newEmail}`;
+  if (previousEmail) return `from ${previousEmail}`;
+  return null;
+};
+
+const SecurityActivity = () => {
+  const { formatDateTime } = useDateFormat();
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [failuresOnly, setFailuresOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const fetchEvents = useCallback(async (nextPage) => {
+    try {
+      const response = await userService.getSecurityEvents({
+        outcome: failuresOnly ? 'failure' : undefined,
+        page: nextPage,
+        limit: PAGE_SIZE,
+      });
+      if (response.success) {
+        setEvents(current => nextPage === 1 ? response.data.events : [...current, ...response.data.events]);
+        setPage(nextPage);
+        setTotalPages(response.data.pagination.total);
+      }
+    } catch (error) {
+      console.error('Error fetching security activity:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [failuresOnly]);
+
+  useEffect(() => {
+    fetchEvents(1);
+  }, [fetchEvents]);
+
+  const handleLoadMore = () => {
+    setLoadingMore(true);
+    fetchEvents(page + 1);
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="d-flex justify-content-between align-items-center">
+        <h6>Recent Security Activity</h6>
+        <Form.Check
+          type="switch"
+          id="security-failures-only"
+          label="Failures only"
+          className="small"
+          checked={failuresOnly}
+          onChange={(e) => setFailuresOnly(e.target.checked)}
+        />
+      </div>
+      <p className="text-muted mb-2">
+        Sign-ins and security changes on your account from the last 90 days. If something looks
+        unfamiliar, change your password and log out everywhere.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-3">
+          <Spinner animation="border" size="sm" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="small text-muted mb-0">No security activity recorded yet.</p>
+      ) : (
+        <>
+          <Table responsive size="sm" className="align-middle">
+            <thead>
+              <tr>
+                <th>Event</th>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>When</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event.id}>
+                  <td>
+                    {EVENT_LABELS[event.type] || event.type}{' '}
+                    {event.outcome === 'failure' && <Badge bg="danger">Failed</Badge>}
+                    {event.actor && event.actor !== event.user && (
+                      <Badge bg="warning" text="dark" className="ms-1">By an admin</Badge>
+                    )}
+                    {describeDetails(event) && (
+                      <div className="small text-muted">{describeDetails(event)}</div>
+                    )}
+                  </td>
+                  <td>{describeDevice(event.userAgent)}</td>
+                  <td>{event.ip || '—'}</td>
+                  <td>{formatDateTime(event.createdAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {page < totalPages && (
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Show More'}
+            </Button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SecurityActivity;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { useAuth } from '../context/AuthContext';
+
+// Validation schemas
+const codeSchema = yup.object({
+  code: yup
+    .string()
+    .required('Authentication code is required')
+    .matches(/^\d{6}$/, 'Authentication code must be 6 digits'),
+});
+
+const recoveryCodeSchema = yup.object({
+  code: yup
+    .string()
+    .required('Recovery code is required'),
+});
+
+const TwoFactorLoginForm = ({ challengeToken, onSuccess, onCancel }) => {
+  const { completeTwoFactorLogin } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifyError, setVerifyError] = useState('');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+    reset,
+  } = useForm({
+    resolver: yupResolver(useRecoveryCode ? recoveryCodeSchema : codeSchema),
+    defaultValues: {
+      code: '',
+    }
+  });
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setVerifyError('');
+    reset();
+  };
+
+  const onSubmit = async (data) => {
+    setVerifyError('');
+
+    const credentials = useRecoveryCode
+      ? { recoveryCode: data.code }
+      : { code: data.code };
+
+    const result = await completeTwoFactorLogin(challengeToken, credentials);
+
+    if (result.success) {
+      onSuccess(result);
+    } else {
+      setVerifyError(result.message || 'Verification failed. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      <div className="text-center mb-4">
+        <h2 className="auth-title">Two-Factor Authentication</h2>
+        <p className="text-muted">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes'
+            : 'Enter the 6-digit code from your authenticator app'}
+        </p>
+      </div>
+
+      {verifyError && (
+        <Alert variant="danger" className="mb-3">
+          {verifyError}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <Form.Group className="mb-4">
+          <Form.Label>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Form.Label>
+          <Form.Control
+            type="text"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            {...register('code')}
+            isInvalid={!!errors.code}
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoFocus
+          />
+          <Form.Control.Feedback type="invalid">
+            {errors.code?.message}
+          </Form.Control.Feedback>
+        </Form.Group>
+
+        <Button
+          variant="primary"
+          type="submit"
+          className="w-100 mb-3"
+          size="lg"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? (
+            <>
+              <Spinner
+                as="span"
+                animation="border"
+                size="sm"
+                role="status"
+                aria-hidden="true"
+                className="me-2"
+              />
+              Verifying...
+            </>
+          ) : (
+            'Verify'
+          )}
+        </Button>
+
+        <div className="text-center">
+          <p className="mb-2">
+            <Button variant="link" className="auth-link p-0" onClick={toggleRecoveryCode}>
+              {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead'}
+            </Button>
+          </p>
+          <Button variant="link" className="auth-link small text-muted p-0" onClick={onCancel}>
+            Back to sign in
+          </Button>
+        </div>
+      </Form>
+    </>
+  );
+};
+
+export default TwoFactorLoginForm;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { Modal, Form, Button, Alert, Spinner, Badge } from 'react-bootstrap';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [showEnableModal, setShowEnableModal] = useState(false);
+  const [showDisableModal, setShowDisableModal] = useState(false);
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const closeModals = () => {
+    setShowEnableModal(false);
+    setShowDisableModal(false);
+    setSetupData(null);
+    setRecoveryCodes(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  // Step 1: fetch a new secret and QR code
+  const startSetup = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setShowEnableModal(true);
+
+      const response = await authService.setupTwoFactor();
+      if (response.success) {
+        setSetupData(response.data);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to start two-factor setup.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: confirm a code and show the recovery codes
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code)) {
+      setError('Authentication code must be 6 digits');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await authService.enableTwoFactor(code);
+      if (response.success) {
+        setRecoveryCodes(response.data.recoveryCodes);
+        updateUser({ ...user, twoFactorEnabled: true });
+        toast.success('Two-factor authentication enabled');
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Invalid authentication code.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disableTwoFactor = async (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      setError('Password is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await authService.disableTwoFactor(password);
+      if (response.success) {
+        updateUser({ ...user, twoFactorEnabled: false });
+        toast.success('Two-factor authentication disabled');
+        closeModals();
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to disable two-factor authentication.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadRecoveryCodes = () => {
+    const blob = new Blob([recoveryCodes.join('\n')], { type: 'text/plain' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'taskmaster-recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mb-3">
+      <h6>
+        Two-Factor Authentication{' '}
+        {user?.twoFactorEnabled ? (
+          <Badge bg="success">On</Badge>
+        ) : (
+          <Badge bg="secondary">Off</Badge>
+        )}
+      </h6>
+      <p className="text-muted mb-2">
+        Require a code from an authenticator app in addition to your password when signing in.
+      </p>
+      {user?.twoFactorEnabled ? (
+        <Button variant="outline-danger" size="sm" onClick={() => setShowDisableModal(true)}>
+          Disable 2FA
+        </Button>
+      ) : (
+        <Button variant="outline-primary" size="sm" onClick={startSetup}>
+          Enable 2FA
+        </Button>
+      )}
+
+      {/* Enable 2FA Modal */}
+      <Modal show={showEnableModal} onHide={closeModals}>
+        <Modal.Header closeButton>
+          <Modal.Title>🔐 Enable Two-Factor Authentication</Modal.Title>
+        </Modal.Header>
+
+        {recoveryCodes ? (
+          <>
+            <Modal.Body>
+              <Alert variant="warning">
+                Save these recovery codes somewhere safe. Each code can be used once
+                to sign in if you lose access to your authenticator app.
+                They won't be shown again.
+              </Alert>
+              <div className="bg-light rounded p-3 font-monospace text-center">
+                {recoveryCodes.map(recoveryCode => (
+                  <div key={recoveryCode}>{recoveryCode}</div>
+                ))}
+              </div>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="outline-secondary" onClick={downloadRecoveryCodes}>
+                Download
+              </Button>
+              <Button variant="primary" onClick={closeModals}>
+                Done
+              </Button>
+            </Modal.Footer>
+          </>
+        ) : (
+          <Form onSubmit={confirmSetup} noValidate>
+            <Modal.Body>
+              {error && (
+                <Alert variant="danger" className="mb-3">
+                  {error}
+                </Alert>
+              )}
+
+              {!setupData ? (
+                <div className="text-center py-4">
+                  <Spinner animation="border" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </Spinner>
+                </div>
+              ) : (
+                <>
+                  <p>
+                    Scan this QR code with an authenticator app such as Google Authenticator,
+                    1Password or Authy.
+                  </p>
+                  <div className="text-center mb-3">
+                    <img src={setupData.qrCode} alt="Two-factor QR code" width={200} height={200} />
+                  </div>
+                  <p className="small text-muted">
+                    Can't scan it? Enter this key manually:{' '}
+                    <code className="text-break">{setupData.secret}</code>
+                  </p>
+
+                  <Form.Group>
+                    <Form.Label>Authentication Code</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder="123456"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value.trim())}
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                    />
+                  </Form.Group>
+                </>
+              )}
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={closeModals}>
+                Cancel
+              </Button>
+              <Button variant="primary" type="submit" disabled={loading || !setupData}>
+                {loading ? 'Verifying...' : 'Verify & Enable'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+
+      {/* Disable 2FA Modal */}
+      <Modal show={showDisableModal} onHide={closeModals}>
+        <Modal.Header closeButton>
+          <Modal.Title>Disable Two-Factor Authentication</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={disableTwoFactor} noValidate>
+          <Modal.Body>
+            {error && (
+              <Alert variant="danger" className="mb-3">
+                {error}
+              </Alert>
+            )}
+            <Form.Group>
+              <Form.Label>Confirm your password</Form.Label>
+              <Form.Control
+                type="password"
+                placeholder="Enter your password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeModals}>
+              Cancel
+            </Button>
+            <Button variant="danger" type="submit" disabled={loading}>
+              {loading ? 'Disabling...' : 'Disable 2FA'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
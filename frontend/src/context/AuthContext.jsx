@@ -1,11 +1,127 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import toast from 'react-hot-toast';
+import { startAuthentication } from '@simplewebauthn/browser';
 import { authService } from '../services/authService';
+import { userService } from '../services/userService';
+import { COOKIE_AUTH, setSessionHandlers } from '../services/api';
+import { DEFAULT_PREFERENCES } from '../utils/preferences';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Random extra margin so several open tabs don't refresh at the same moment
+const REFRESH_JITTER_MS = 30 * 1000;
+
+// Read the expiry time (in ms) from a JWT without verifying it
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Expiry time (in ms) of the access token in a login, register or refresh response.
+// In cookie mode the token itself is never sent, only its expiry.
+const getSessionExpiry = (data) => {
+  return COOKIE_AUTH ? Date.parse(data.expiresAt) || null : getTokenExpiry(data.token);
+};
+
+// Expiry time (in ms) of the stored access token, if any
+const getStoredExpiry = () => {
+  if (COOKIE_AUTH) {
+    return Date.parse(localStorage.getItem('tokenExpiresAt')) || null;
+  }
+
+  const token = localStorage.getItem('token');
+  return token ? getTokenExpiry(token) : null;
+};
+
+// Persist the token pair returned by login, register and refresh.
+// In cookie mode only the expiry is kept, so other tabs and reloads know a session exists.
+const storeTokens = (data) => {
+  if (COOKIE_AUTH) {
+    localStorage.setItem('tokenExpiresAt', data.expiresAt);
+    return;
+  }
+
+  localStorage.setItem('token', data.token);
+  if (data.refreshToken) {
+    localStorage.setItem('refreshToken', data.refreshToken);
+  }
+};
+
+// Forget the admin's tokens set aside during an impersonation
+const clearImpersonatorTokens = () => {
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+  localStorage.removeItem('impersonationExpiresAt');
+};
+
+// Clear any stored tokens, including an impersonating admin's own
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('tokenExpiresAt');
+  clearImpersonatorTokens();
+};
+
+// While an admin impersonates someone, their own tokens are set aside and the
+// impersonation token is used instead. It can't be refreshed, so the refresh
+// token is stashed too (in cookie mode the refresh cookie simply stays put).
+const stashImpersonatorTokens = (data) => {
+  if (!COOKIE_AUTH) {
+    localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+    localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+    localStorage.removeItem('refreshToken');
+  }
+
+  localStorage.setItem('impersonationExpiresAt', data.impersonation.expiresAt);
+  storeTokens(data);
+};
+
+// Put the admin's own tokens back once an impersonation is over
+const restoreImpersonatorTokens = () => {
+  if (COOKIE_AUTH) {
+    // Forces a refresh, which swaps the impersonation cookie for the admin's
+    localStorage.removeItem('tokenExpiresAt');
+  } else {
+    const token = localStorage.getItem('impersonatorToken');
+    const refreshToken = localStorage.getItem('impersonatorRefreshToken');
+    clearTokens();
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  }
+
+  clearImpersonatorTokens();
+};
+
+// An impersonation is over if it expired or its token was thrown away (e.g. after a 401)
+const hasStaleImpersonation = () => {
+  const expiresAt = Date.parse(localStorage.getItem('impersonationExpiresAt'));
+  return !!expiresAt && (expiresAt <= Date.now() || !getStoredExpiry());
+};
+
+// Load the signed-in user's preferences, falling back to the defaults
+const fetchPreferences = async () => {
+  try {
+    const response = await userService.getPreferences();
+    return response.data.preferences;
+  } catch (error) {
+    console.error('Failed to load preferences:', error);
+    return DEFAULT_PREFERENCES;
+  }
+};
 
 // Initial state
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  expiresAt: null,
+  impersonation: null,
+  preferences: DEFAULT_PREFERENCES,
   isLoading: true,
   isAuthenticated: false,
 };
@@ -15,7 +131,9 @@ const AUTH_ACTIONS = {
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGOUT: 'LOGOUT',
   SET_LOADING: 'SET_LOADING',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
   UPDATE_USER: 'UPDATE_USER',
+  SET_PREFERENCES: 'SET_PREFERENCES',
   AUTH_ERROR: 'AUTH_ERROR',
 };
 
@@ -27,16 +145,22 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        expiresAt: action.payload.expiresAt,
+        impersonation: action.payload.impersonation || null,
+        preferences: action.payload.preferences || DEFAULT_PREFERENCES,
         isAuthenticated: true,
         isLoading: false,
       };
     
     case AUTH_ACTIONS.LOGOUT:
-      localStorage.removeItem('token');
+      clearTokens();
       return {
         ...state,
         user: null,
         token: null,
+        expiresAt: null,
+        impersonation: null,
+        preferences: DEFAULT_PREFERENCES,
         isAuthenticated: false,
         isLoading: false,
       };
@@ -47,18 +171,34 @@ const authReducer = (state, action) => {
         isLoading: action.payload,
       };
     
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+        expiresAt: action.payload.expiresAt,
+      };
+    
     case AUTH_ACTIONS.UPDATE_USER:
       return {
         ...state,
         user: action.payload,
       };
     
+    case AUTH_ACTIONS.SET_PREFERENCES:
+      return {
+        ...state,
+        preferences: action.payload,
+      };
+    
     case AUTH_ACTIONS.AUTH_ERROR:
-      localStorage.removeItem('token');
+      clearTokens();
       return {
         ...state,
         user: null,
         token: null,
+        expiresAt: null,
+        impersonation: null,
+        preferences: DEFAULT_PREFERENCES,
         isAuthenticated: false,
         isLoading: false,
       };
@@ -83,40 +223,213 @@ export const useAuth = () => {
 // Auth provider component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  const refreshPromiseRef = useRef(null);
+  const stopImpersonationPromiseRef = useRef(null);
+
+  // Exchange the stored refresh token (or the refresh cookie) for a new token pair.
+  // Concurrent callers share a single request, because presenting the same
+  // refresh token twice makes the backend revoke the whole session.
+  // Pass force when the server just rejected the stored access token.
+  const refreshSession = useCallback(({ force = false } = {}) => {
+    if (refreshPromiseRef.current) {
+      return refreshPromiseRef.current;
+    }
+
+    const doRefresh = async () => {
+      // Another tab may already have refreshed the session
+      const storedExpiry = getStoredExpiry();
+      if (!force && storedExpiry && storedExpiry - Date.now() > REFRESH_MARGIN_MS) {
+        const session = { token: localStorage.getItem('token'), expiresAt: storedExpiry };
+        dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: session });
+        return session;
+      }
+
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken && !COOKIE_AUTH) {
+        throw new Error('No refresh token available');
+      }
+
+      const response = await authService.refreshToken(refreshToken);
+      storeTokens(response.data);
+
+      const session = { token: response.data.token, expiresAt: getSessionExpiry(response.data) };
+      dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: session });
+      return session;
+    };
+
+    refreshPromiseRef.current = doRefresh().finally(() => {
+      refreshPromiseRef.current = null;
+    });
+
+    return refreshPromiseRef.current;
+  }, []);
+
+  // Load the signed-in user for the stored tokens, renewing them first if needed
+  const loadSession = useCallback(async () => {
+    let token = localStorage.getItem('token');
+    let expiresAt = getStoredExpiry();
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    try {
+      // Renew the access token first if it expired while the app was closed
+      const canRefresh = COOKIE_AUTH || refreshToken;
+      if (canRefresh && (!expiresAt || expiresAt - Date.now() < REFRESH_MARGIN_MS)) {
+        ({ token, expiresAt } = await refreshSession());
+      }
+
+      // Verify token with backend and load the full profile
+      const response = await authService.getCurrentUser();
+      
+      if (response.success) {
+        const preferences = await fetchPreferences();
+
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: {
+            user: response.data.user,
+            token: token,
+            expiresAt,
+            impersonation: response.data.impersonation,
+            preferences,
+          },
+        });
+      } else {
+        dispatch({ type: AUTH_ACTIONS.AUTH_ERROR });
+      }
+    } catch (error) {
+      console.error('Token verification failed:', error);
+      dispatch({ type: AUTH_ACTIONS.AUTH_ERROR });
+    }
+  }, [refreshSession]);
 
   // Check if user is authenticated on app load
   useEffect(() => {
-    const checkAuth = async () => {
-      const token = localStorage.getItem('token');
-      
-      if (!token) {
-        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
-        return;
+    // Return to the admin's own session if an impersonation ended while the app was closed
+    if (hasStaleImpersonation()) {
+      restoreImpersonatorTokens();
+    }
+
+    const hasSession = localStorage.getItem('token') ||
+      localStorage.getItem('refreshToken') ||
+      getStoredExpiry();
+
+    if (!hasSession) {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+      return;
+    }
+
+    loadSession();
+  }, [loadSession]);
+
+  // End an impersonation and go back to the admin's own session. Concurrent
+  // callers (e.g. several requests failing with a 401) share a single stop,
+  // so the admin's tokens are only restored once.
+  const stopImpersonation = useCallback(() => {
+    if (stopImpersonationPromiseRef.current) {
+      return stopImpersonationPromiseRef.current;
+    }
+
+    const doStop = async () => {
+      try {
+        await authService.stopImpersonation();
+      } catch (error) {
+        // Already ended or expired on the server
+        console.error('Stop impersonation error:', error);
       }
 
+      restoreImpersonatorTokens();
+      await loadSession();
+      toast.success('Back to your own account');
+    };
+
+    stopImpersonationPromiseRef.current = doStop().finally(() => {
+      stopImpersonationPromiseRef.current = null;
+    });
+
+    return stopImpersonationPromiseRef.current;
+  }, [loadSession]);
+
+  // Let API requests that fail with a 401 renew the session and retry, or
+  // end an impersonation that is over
+  useEffect(() => {
+    setSessionHandlers({
+      refreshSession: () => refreshSession({ force: true }),
+      stopImpersonation,
+    });
+    return () => setSessionHandlers(null);
+  }, [refreshSession, stopImpersonation]);
+
+  // Silently refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!state.isAuthenticated || !state.expiresAt) {
+      return;
+    }
+
+    // Impersonation tokens can't be refreshed, the impersonation just ends
+    if (state.impersonation) {
+      const delay = Math.max(Date.parse(state.impersonation.expiresAt) - Date.now(), 0);
+      const timer = setTimeout(stopImpersonation, delay);
+      return () => clearTimeout(timer);
+    }
+
+    const margin = REFRESH_MARGIN_MS + Math.random() * REFRESH_JITTER_MS;
+    const delay = Math.max(state.expiresAt - Date.now() - margin, 0);
+
+    const timer = setTimeout(async () => {
       try {
-        // Verify token with backend
-        const response = await authService.verifyToken();
-        
-        if (response.success) {
-          dispatch({
-            type: AUTH_ACTIONS.LOGIN_SUCCESS,
-            payload: {
-              user: response.data.user,
-              token: token,
-            },
-          });
-        } else {
+        await refreshSession();
+      } catch (error) {
+        console.error('Silent token refresh failed:', error);
+
+        // Only end the session if the server rejected the refresh token;
+        // network errors are retried by the next request's 401 handling
+        if (error.response || error.message === 'No refresh token available') {
           dispatch({ type: AUTH_ACTIONS.AUTH_ERROR });
         }
-      } catch (error) {
-        console.error('Token verification failed:', error);
-        dispatch({ type: AUTH_ACTIONS.AUTH_ERROR });
       }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [state.isAuthenticated, state.expiresAt, state.impersonation, refreshSession, stopImpersonation]);
+
+  // Apply the theme preference; Bootstrap styles follow data-bs-theme
+  useEffect(() => {
+    const { theme } = state.preferences;
+    const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+    const applyTheme = () => {
+      const resolved = theme === 'system' ? (darkQuery.matches ? 'dark' : 'light') : theme;
+      document.documentElement.setAttribute('data-bs-theme', resolved);
     };
 
-    checkAuth();
-  }, []);
+    applyTheme();
+
+    if (theme === 'system') {
+      darkQuery.addEventListener('change', applyTheme);
+      return () => darkQuery.removeEventListener('change', applyTheme);
+    }
+  }, [state.preferences]);
+
+  // Store the tokens from a login or registration response and load the user's preferences
+  const signIn = async (data) => {
+    storeTokens(data);
+    const preferences = await fetchPreferences();
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: {
+        user: data.user,
+        token: data.token,
+        expiresAt: getSessionExpiry(data),
+        preferences,
+      },
+    });
+
+    if (data.deletionCancelled) {
+      toast.success('Your account deletion has been cancelled.', { duration: 6000 });
+    }
+    return preferences;
+  };
 
   // Login function
   const login = async (email, password) => {
@@ -125,19 +438,21 @@ export const AuthProvider = ({ children }) => {
       
       const response = await authService.login(email, password);
       
+      // Password accepted, but a second factor is needed
+      if (response.success && response.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+      
       if (response.success) {
-        localStorage.setItem('token', response.data.token);
-        
-        dispatch({
-          type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: {
-            user: response.data.user,
-            token: response.data.token,
-          },
-        });
+        const { landingPage } = await signIn(response.data);
         
         toast.success(`Welcome back, ${response.data.user.name}!`);
-        return { success: true };
+        return { success: true, landingPage };
       } else {
         dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
         toast.error(response.message || 'Login failed');
@@ -146,11 +461,116 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
       const errorMessage = error.response?.data?.message || 'Login failed. Please try again.';
+
+      // Locked out: the API layer has already shown the message
+      if (error.response?.status === 429) {
+        return {
+          success: false,
+          message: errorMessage,
+          retryAfter: error.response.data?.retryAfter,
+        };
+      }
+
       toast.error(errorMessage);
       return { success: false, message: errorMessage };
     }
   };
 
+  // Complete a login that requires two-factor authentication
+  const completeTwoFactorLogin = async (challengeToken, credentials) => {
+    try {
+      const response = await authService.verifyTwoFactorLogin(challengeToken, credentials);
+
+      if (response.success) {
+        const { landingPage } = await signIn(response.data);
+
+        toast.success(`Welcome back, ${response.data.user.name}!`);
+        return { success: true, landingPage };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed. Please try again.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Sign in with a passkey. The browser asks the user to pick a passkey and
+  // unlock it, so no email or password is needed.
+  const loginWithPasskey = async () => {
+    try {
+      const optionsResponse = await authService.getPasskeyLoginOptions();
+      const { options, challengeToken } = optionsResponse.data;
+
+      const credential = await startAuthentication({ optionsJSON: options });
+      const response = await authService.verifyPasskeyLogin(challengeToken, credential);
+
+      if (response.success) {
+        const { landingPage } = await signIn(response.data);
+
+        toast.success(`Welcome back, ${response.data.user.name}!`);
+        return { success: true, landingPage };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      // The user closed the browser's passkey prompt
+      if (error.name === 'NotAllowedError') {
+        return { success: false, message: 'Passkey sign-in was cancelled.' };
+      }
+
+      const errorMessage = error.response?.data?.message || 'Passkey sign-in failed. Please try again.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Sign in with the token from an emailed magic link. Like login, this may
+  // ask for a second factor instead of signing in straight away.
+  const completeMagicLinkLogin = async (magicToken) => {
+    try {
+      const response = await authService.loginWithMagicLink(magicToken);
+
+      if (response.success && response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
+      if (response.success) {
+        const { landingPage } = await signIn(response.data);
+
+        toast.success(`Welcome back, ${response.data.user.name}!`);
+        return { success: true, landingPage };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Sign-in link is invalid or has expired.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Complete an SSO login with the one-time code from the backend redirect
+  const completeSsoLogin = async (code) => {
+    try {
+      const response = await authService.exchangeSsoCode(code);
+
+      if (response.success) {
+        const { landingPage } = await signIn(response.data);
+
+        toast.success(`Welcome back, ${response.data.user.name}!`);
+        return { success: true, landingPage };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'SSO login failed. Please try again.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
   // Register function
   const register = async (name, email, password) => {
     try {
@@ -159,15 +579,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.register(name, email, password);
       
       if (response.success) {
-        localStorage.setItem('token', response.data.token);
-        
-        dispatch({
-          type: AUTH_ACTIONS.LOGIN_SUCCESS,
-          payload: {
-            user: response.data.user,
-            token: response.data.token,
-          },
-        });
+        await signIn(response.data);
         
         toast.success(`Welcome, ${response.data.user.name}! Account created successfully.`);
         return { success: true };
@@ -187,9 +599,12 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
-      // Call logout endpoint (optional, since JWT is stateless)
-      if (state.token) {
-        await authService.logout();
+      // Call logout endpoint so the refresh token is revoked. While impersonating
+      // this also ends the impersonation and revokes the admin's own refresh token.
+      if (state.isAuthenticated) {
+        await authService.logout(
+          localStorage.getItem('refreshToken') || localStorage.getItem('impersonatorRefreshToken')
+        );
       }
     } catch (error) {
       console.error('Logout error:', error);
@@ -199,11 +614,122 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Log out of every session, including other devices
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll();
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      toast.success('Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      console.error('Logout all error:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to log out of all devices.';
+      toast.error(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Schedule the account for deletion. The backend signs out every session,
+  // and signing in again before the deletion date cancels it.
+  const deleteAccount = async () => {
+    try {
+      const response = await userService.deleteAccount();
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      return { success: true, scheduledFor: response.data.scheduledFor };
+    } catch (error) {
+      console.error('Delete account error:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to delete account.';
+      toast.error(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Change password; the backend signs out other sessions and returns
+  // a fresh token pair for this one
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await authService.changePassword(currentPassword, newPassword);
+
+      if (response.success) {
+        storeTokens(response.data);
+        dispatch({
+          type: AUTH_ACTIONS.TOKEN_REFRESHED,
+          payload: {
+            token: response.data.token,
+            expiresAt: getSessionExpiry(response.data),
+          },
+        });
+        toast.success('Password changed successfully');
+        return { success: true };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to change password. Please try again.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Send a new email verification link
+  const resendVerification = async () => {
+    try {
+      const response = await authService.resendVerification();
+      if (response.success) {
+        toast.success('Verification email sent. Please check your inbox.');
+      }
+      return { success: response.success };
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      return { success: false };
+    }
+  };
+
+  // Start viewing the app as another user, keeping the admin's session to return to
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await authService.startImpersonation(userId, reason);
+
+      if (response.success) {
+        stashImpersonatorTokens(response.data);
+        await loadSession();
+        toast.success(response.message);
+        return { success: true };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to start impersonation.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Save some preferences on the server, so they follow the user to other devices
+  const updatePreferences = async (changes) => {
+    try {
+      const response = await userService.updatePreferences(changes);
+
+      if (response.success) {
+        dispatch({ type: AUTH_ACTIONS.SET_PREFERENCES, payload: response.data.preferences });
+        return { success: true };
+      }
+
+      return { success: false, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to save preferences.';
+      return { success: false, message: errorMessage };
+    }
+  };
+
   // Update user profile
   const updateUser = (userData) => {
     dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: userData });
   };
 
+  // Whether the user's role grants a permission (the backend still checks every request)
+  const hasPermission = (permission) => {
+    return Boolean(state.user?.permissions?.includes(permission));
+  };
+
   // Force logout (for expired tokens, etc.)
   const forceLogout = () => {
     dispatch({ type: AUTH_ACTIONS.AUTH_ERROR });
@@ -216,13 +742,27 @@ export const AuthProvider = ({ children }) => {
     token: state.token,
     isLoading: state.isLoading,
     isAuthenticated: state.isAuthenticated,
+    impersonation: state.impersonation,
+    preferences: state.preferences,
     
     // Actions
     login,
+    completeTwoFactorLogin,
+    completeSsoLogin,
+    completeMagicLinkLogin,
+    loginWithPasskey,
     register,
     logout,
+    logoutAll,
+    deleteAccount,
+    changePassword,
+    resendVerification,
+    startImpersonation,
+    stopImpersonation,
     updateUser,
+    updatePreferences,
     forceLogout,
+    hasPermission,
   };
 
   return (
@@ -0,0 +1,483 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container, Row, Col, Card, Button, Form, Alert, Badge,
+  InputGroup, Pagination, Spinner, Table
+} from 'react-bootstrap';
+import { useAuth } from '../context/AuthContext';
+import { userService } from '../services/userService';
+import { taskService } from '../services/taskService';
+import AdminUserDrawer from '../components/AdminUserDrawer';
+import { useDateFormat } from '../utils/dates';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Last login filter options, turned into lastLoginAfter/lastLoginBefore dates
+const LAST_LOGIN_FILTERS = {
+  within7: { label: 'Within 7 days', afterDays: 7 },
+  within30: { label: 'Within 30 days', afterDays: 30 },
+  over30: { label: 'Not in 30 days', beforeDays: 30 },
+  over90: { label: 'Not in 90 days', beforeDays: 90 },
+};
+
+// Sortable table columns
+const COLUMNS = [
+  { key: 'name', label: 'Name', sortable: true },
+  { key: 'email', label: 'Email', sortable: true },
+  { key: 'role', label: 'Role' },
+  { key: 'isActive', label: 'Status' },
+  { key: 'lastLogin', label: 'Last Login', sortable: true },
+  { key: 'createdAt', label: 'Joined', sortable: true },
+];
+
+const SYSTEM_STATS = [
+  { key: 'total', label: 'Total Tasks', variant: 'primary' },
+  { key: 'completed', label: 'Completed', variant: 'success' },
+  { key: 'inProgress', label: 'In Progress', variant: 'info' },
+  { key: 'pending', label: 'Pending', variant: 'warning' },
+  { key: 'overdue', label: 'Overdue', variant: 'danger' },
+  { key: 'usersWithTasks', label: 'Users With Tasks', variant: 'secondary' },
+];
+
+const EMPTY_FILTERS = {
+  search: '',
+  role: '',
+  status: '',
+  lastLogin: '',
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const Admin = () => {
+  const { hasPermission } = useAuth();
+  const { formatDate } = useDateFormat();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [systemStats, setSystemStats] = useState(null);
+  const [pendingDeletions, setPendingDeletions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('-createdAt');
+  const [pagination, setPagination] = useState({
+    current: 1,
+    total: 1,
+    count: 0,
+    totalUsers: 0,
+  });
+
+  const canViewTaskStats = hasPermission('tasks:read:any');
+  const currentPage = pagination.current;
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const { lastLogin, ...params } = filters;
+      const lastLoginFilter = LAST_LOGIN_FILTERS[lastLogin];
+      if (lastLoginFilter?.afterDays) {
+        params.lastLoginAfter = new Date(Date.now() - lastLoginFilter.afterDays * DAY).toISOString();
+      }
+      if (lastLoginFilter?.beforeDays) {
+        params.lastLoginBefore = new Date(Date.now() - lastLoginFilter.beforeDays * DAY).toISOString();
+      }
+
+      const response = await userService.getAllUsers({
+        ...params,
+        sort,
+        page: currentPage,
+        limit: 20,
+      });
+
+      if (response.success) {
+        setUsers(response.data.users);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+      setError('Failed to load users. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, sort, currentPage]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    const fetchRoles = async () => {
+      try {
+        const response = await userService.getRoles();
+        if (response.success) {
+          setRoles(response.data.roles);
+        }
+      } catch (error) {
+        console.error('Failed to fetch roles:', error);
+      }
+    };
+
+    fetchRoles();
+  }, []);
+
+  useEffect(() => {
+    if (!canViewTaskStats) return;
+
+    const fetchSystemStats = async () => {
+      try {
+        const response = await taskService.getSystemTaskStats();
+        if (response.success) {
+          setSystemStats(response.data.stats);
+        }
+      } catch (error) {
+        console.error('Failed to fetch task statistics:', error);
+      }
+    };
+
+    fetchSystemStats();
+  }, [canViewTaskStats]);
+
+  useEffect(() => {
+    const fetchPendingDeletions = async () => {
+      try {
+        const response = await userService.getPendingDeletions();
+        if (response.success) {
+          setPendingDeletions(response.data.deletions);
+        }
+      } catch (error) {
+        console.error('Failed to fetch pending deletions:', error);
+      }
+    };
+
+    fetchPendingDeletions();
+  }, []);
+
+  // When each user with a pending deletion request will be deleted
+  const deletionDates = Object.fromEntries(
+    pendingDeletions.map(deletion => [deletion.user.id, deletion.scheduledFor])
+  );
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value,
+    }));
+    setPagination(prev => ({
+      ...prev,
+      current: 1,
+    }));
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPagination(prev => ({
+      ...prev,
+      current: 1,
+    }));
+  };
+
+  // Click a column once to sort ascending, again to sort descending
+  const handleSort = (key) => {
+    setSort(sort === key ? `-${key}` : key);
+    setPagination(prev => ({
+      ...prev,
+      current: 1,
+    }));
+  };
+
+  const getSortIndicator = (key) => {
+    if (sort === key) return ' ▲';
+    if (sort === `-${key}`) return ' ▼';
+    return '';
+  };
+
+  const handleUserUpdated = (updatedUser) => {
+    setUsers(users.map(user => (user._id === updatedUser._id ? { ...user, ...updatedUser } : user)));
+  };
+
+  return (
+    <Container className="py-4">
+      <Row className="mb-4">
+        <Col>
+          <h2 className="mb-1">🛠️ Admin Console</h2>
+          <p className="text-muted mb-0">
+            Manage user accounts and keep an eye on activity across the app
+          </p>
+        </Col>
+      </Row>
+
+      {/* System-wide Task Statistics */}
+      {systemStats && (
+        <Row className="mb-4">
+          {SYSTEM_STATS.map(stat => (
+            <Col key={stat.key} md={4} lg={2} className="mb-3">
+              <Card className={`stat-card border-start border-${stat.variant} border-4`}>
+                <Card.Body>
+                  <div className={`stat-number text-${stat.variant}`}>
+                    {systemStats[stat.key]}
+                  </div>
+                  <div className="stat-label">{stat.label}</div>
+                </Card.Body>
+              </Card>
+            </Col>
+          ))}
+          <Col xs={12}>
+            <small className="text-muted">
+              {systemStats.completionRate}% of all tasks are completed, {systemStats.highPriority} are high priority.
+            </small>
+          </Col>
+        </Row>
+      )}
+
+      {error && (
+        <Alert variant="danger" className="mb-4">
+          {error}
+          <Button
+            variant="outline-danger"
+            size="sm"
+            className="ms-2"
+            onClick={fetchUsers}
+          >
+            Retry
+          </Button>
+        </Alert>
+      )}
+
+      {/* Accounts waiting for their deletion grace period to end */}
+      {pendingDeletions.length > 0 && (
+        <Card className="mb-4 border-danger">
+          <Card.Header>
+            <h5 className="mb-0">🗑️ Pending Deletions</h5>
+          </Card.Header>
+          <Card.Body>
+            <p className="text-muted small">
+              These accounts are permanently deleted on the date shown unless the user signs in first.
+            </p>
+            <Table responsive hover size="sm" className="align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Requested</th>
+                  <th>Deletes On</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pendingDeletions.map(deletion => (
+                  <tr
+                    key={deletion.id}
+                    onClick={() => setSelectedUserId(deletion.user.id)}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    <td className="fw-medium">{deletion.user.name}</td>
+                    <td>{deletion.user.email}</td>
+                    <td>{formatDate(deletion.requestedAt)}</td>
+                    <td>{formatDate(deletion.scheduledFor)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      {/* Search and Filters */}
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="g-3 align-items-end">
+            <Col md={4}>
+              <Form.Label>Search Users</Form.Label>
+              <InputGroup>
+                <Form.Control
+                  type="text"
+                  placeholder="Search by name or email..."
+                  value={filters.search}
+                  onChange={(e) => handleFilterChange('search', e.target.value)}
+                />
+                {filters.search && (
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => handleFilterChange('search', '')}
+                  >
+                    ✕
+                  </Button>
+                )}
+              </InputGroup>
+            </Col>
+
+            <Col md={2}>
+              <Form.Label>Role</Form.Label>
+              <Form.Select
+                value={filters.role}
+                onChange={(e) => handleFilterChange('role', e.target.value)}
+              >
+                <option value="">All Roles</option>
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>
+                    {capitalize(role.name)}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+
+            <Col md={2}>
+              <Form.Label>Status</Form.Label>
+              <Form.Select
+                value={filters.status}
+                onChange={(e) => handleFilterChange('status', e.target.value)}
+              >
+                <option value="">All Accounts</option>
+                <option value="active">Active</option>
+                <option value="inactive">Deactivated</option>
+              </Form.Select>
+            </Col>
+
+            <Col md={2}>
+              <Form.Label>Last Login</Form.Label>
+              <Form.Select
+                value={filters.lastLogin}
+                onChange={(e) => handleFilterChange('lastLogin', e.target.value)}
+              >
+                <option value="">Any Time</option>
+                {Object.entries(LAST_LOGIN_FILTERS).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+
+            <Col md={2}>
+              <div className="d-grid">
+                <Button variant="outline-secondary" onClick={clearFilters}>
+                  Clear Filters
+                </Button>
+              </div>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {/* Users Table */}
+      <Card>
+        <Card.Body>
+          {loading && users.length === 0 ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" role="status">
+                <span className="visually-hidden">Loading users...</span>
+              </Spinner>
+            </div>
+          ) : users.length === 0 ? (
+            <p className="text-center text-muted py-4 mb-0">
+              No users match these filters.
+            </p>
+          ) : (
+            <Table responsive hover className="align-middle mb-0">
+              <thead>
+                <tr>
+                  {COLUMNS.map(column => (
+                    <th
+                      key={column.key}
+                      onClick={column.sortable ? () => handleSort(column.key) : undefined}
+                      style={column.sortable ? { cursor: 'pointer', userSelect: 'none' } : undefined}
+                    >
+                      {column.label}{column.sortable && getSortIndicator(column.key)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(user => (
+                  <tr
+                    key={user._id}
+                    onClick={() => setSelectedUserId(user._id)}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    <td className="fw-medium">{user.name}</td>
+                    <td>{user.email}</td>
+                    <td>
+                      <Badge bg="primary">{capitalize(user.role)}</Badge>
+                    </td>
+                    <td>
+                      <Badge bg={user.isActive ? 'success' : 'secondary'}>
+                        {user.isActive ? 'Active' : 'Deactivated'}
+                      </Badge>
+                      {deletionDates[user._id] && (
+                        <Badge bg="danger" className="ms-1" title={`Deletes on ${formatDate(deletionDates[user._id])}`}>
+                          Deleting
+                        </Badge>
+                      )}
+                    </td>
+                    <td>{user.lastLogin ? formatDate(user.lastLogin) : 'Never'}</td>
+                    <td>{formatDate(user.createdAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Pagination */}
+      {pagination.total > 1 && (
+        <div className="d-flex justify-content-center mt-4">
+          <Pagination>
+            <Pagination.First
+              disabled={pagination.current === 1}
+              onClick={() => setPagination(prev => ({ ...prev, current: 1 }))}
+            />
+            <Pagination.Prev
+              disabled={pagination.current === 1}
+              onClick={() => setPagination(prev => ({ ...prev, current: prev.current - 1 }))}
+            />
+
+            {[...Array(pagination.total)].map((_, index) => {
+              const page = index + 1;
+              if (
+                page === 1 ||
+                page === pagination.total ||
+                (page >= pagination.current - 2 && page <= pagination.current + 2)
+              ) {
+                return (
+                  <Pagination.Item
+                    key={page}
+                    active={page === pagination.current}
+                    onClick={() => setPagination(prev => ({ ...prev, current: page }))}
+                  >
+                    {page}
+                  </Pagination.Item>
+                );
+              }
+              return null;
+            })}
+
+            <Pagination.Next
+              disabled={pagination.current === pagination.total}
+              onClick={() => setPagination(prev => ({ ...prev, current: prev.current + 1 }))}
+            />
+            <Pagination.Last
+              disabled={pagination.current === pagination.total}
+              onClick={() => setPagination(prev => ({ ...prev, current: pagination.total }))}
+            />
+          </Pagination>
+        </div>
+      )}
+
+      <div className="text-center text-muted mt-3">
+        <small>
+          Showing {users.length} of {pagination.totalUsers} users
+        </small>
+      </div>
+
+      <AdminUserDrawer
+        userId={selectedUserId}
+        roles={roles}
+        onHide={() => setSelectedUserId(null)}
+        onUserUpdated={handleUserUpdated}
+      />
+    </Container>
+  );
+};
+
+export default Admin;
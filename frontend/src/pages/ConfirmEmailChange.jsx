@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const ConfirmEmailChange = () => {
+  const { isAuthenticated, user, updateUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('confirming');
+  const [message, setMessage] = useState('');
+  const [newEmail, setNewEmail] = useState('');
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    const confirm = async () => {
+      if (!token) {
+        setStatus('error');
+        setMessage('This confirmation link is invalid.');
+        return;
+      }
+
+      try {
+        const response = await authService.confirmEmailChange(token);
+
+        if (response.success) {
+          setStatus('success');
+          setMessage(response.message);
+          setNewEmail(response.data.email);
+        } else {
+          setStatus('error');
+          setMessage(response.message || 'Email change failed.');
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Email change failed. Please try again.');
+      }
+    };
+
+    confirm();
+  }, [token]);
+
+  // Reflect the new address in the signed-in user
+  useEffect(() => {
+    if (status === 'success' && user && user.email !== newEmail) {
+      updateUser({ ...user, email: newEmail, pendingEmail: null, emailVerified: true });
+    }
+  }, [status, newEmail, user, updateUser]);
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            <div className="auth-card fade-in text-center">
+              <h2 className="auth-title mb-4">Confirm Email Change</h2>
+
+              {status === 'confirming' && (
+                <div className="mb-3">
+                  <Spinner animation="border" role="status" className="mb-2">
+                    <span className="visually-hidden">Loading...</span>
+                  </Spinner>
+                  <p className="text-muted">Confirming your new email address...</p>
+                </div>
+              )}
+
+              {status === 'success' && (
+                <Alert variant="success" className="mb-3">
+                  ✅ {message}
+                  <div className="small mt-2">
+                    Sign in with {newEmail} from now on.
+                  </div>
+                </Alert>
+              )}
+
+              {status === 'error' && (
+                <Alert variant="danger" className="mb-3">
+                  {message}
+                  {isAuthenticated && (
+                    <div className="small mt-2">
+                      You can request a new link from your profile.
+                    </div>
+                  )}
+                </Alert>
+              )}
+
+              {status !== 'confirming' && (
+                <Link
+                  to={isAuthenticated ? '/profile' : '/login'}
+                  className="btn btn-primary"
+                >
+                  {isAuthenticated ? 'Go to Profile' : 'Sign In'}
+                </Link>
+              )}
+            </div>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default ConfirmEmailChange;
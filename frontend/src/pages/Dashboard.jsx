@@ -2,11 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Alert, Spinner } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useDateFormat } from '../utils/dates';
 import { taskService } from '../services/taskService';
 import LoadingSpinner from '../components/LoadingSpinner';
+import EmailVerificationBanner from '../components/EmailVerificationBanner';
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { formatDate, getCurrentHour } = useDateFormat();
   const [stats, setStats] = useState(null);
   const [recentTasks, setRecentTasks] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -47,20 +50,12 @@ const Dashboard = () => {
   }
 
   const getGreeting = () => {
-    const hour = new Date().getHours();
+    const hour = getCurrentHour();
     if (hour < 12) return 'Good Morning';
     if (hour < 17) return 'Good Afternoon';
     return 'Good Evening';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
-  };
-
   const getStatusVariant = (status) => {
     switch (status) {
       case 'completed': return 'success';
@@ -98,6 +93,8 @@ const Dashboard = () => {
       </section>
 
       <Container className="mt-4">
+        <EmailVerificationBanner className="mb-4" />
+
         {error && (
           <Alert variant="danger" className="mb-4">
             {error}
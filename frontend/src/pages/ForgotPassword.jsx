@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { authService } from '../services/authService';
+
+// Validation schema
+const forgotPasswordSchema = yup.object({
+  email: yup
+    .string()
+    .email('Please enter a valid email address')
+    .required('Email is required'),
+});
+
+const ForgotPassword = () => {
+  const [requestError, setRequestError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: yupResolver(forgotPasswordSchema),
+    defaultValues: {
+      email: '',
+    }
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      setRequestError('');
+
+      const response = await authService.requestPasswordReset(data.email);
+
+      if (response.success) {
+        setSentMessage(response.message);
+      } else {
+        setRequestError(response.message || 'Request failed. Please try again.');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Request failed. Please try again.';
+      setRequestError(errorMessage);
+      console.error('Forgot password error:', error);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            <div className="auth-card fade-in">
+              <div className="text-center mb-4">
+                <h2 className="auth-title">Forgot Password?</h2>
+                <p className="text-muted">
+                  Enter your email and we'll send you a link to reset your password
+                </p>
+              </div>
+
+              {requestError && (
+                <Alert variant="danger" className="mb-3">
+                  {requestError}
+                </Alert>
+              )}
+
+              {sentMessage ? (
+                <Alert variant="success" className="mb-3">
+                  {sentMessage}
+                </Alert>
+              ) : (
+                <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+                  <Form.Group className="mb-4">
+                    <Form.Label>Email Address</Form.Label>
+                    <Form.Control
+                      type="email"
+                      placeholder="Enter your email"
+                      {...register('email')}
+                      isInvalid={!!errors.email}
+                      autoComplete="email"
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.email?.message}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Button
+                    variant="primary"
+                    type="submit"
+                    className="w-100 mb-3"
+                    size="lg"
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Spinner
+                          as="span"
+                          animation="border"
+                          size="sm"
+                          role="status"
+                          aria-hidden="true"
+                          className="me-2"
+                        />
+                        Sending...
+                      </>
+                    ) : (
+                      'Send Reset Link'
+                    )}
+                  </Button>
+                </Form>
+              )}
+
+              <div className="text-center">
+                <Link to="/login" className="auth-link">
+                  Back to sign in
+                </Link>
+              </div>
+            </div>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default ForgotPassword;
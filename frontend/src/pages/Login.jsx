@@ -3,8 +3,12 @@ import { Container, Row, Col, Form, Button, Alert, Spinner } from 'react-bootstr
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import * as yup from 'yup';
 import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+import TwoFactorLoginForm from '../components/TwoFactorLoginForm';
+import MagicLinkForm from '../components/MagicLinkForm';
 
 // Validation schema
 const loginSchema = yup.object({
@@ -19,20 +23,73 @@ const loginSchema = yup.object({
 });
 
 const Login = () => {
-  const { login, isAuthenticated, isLoading } = useAuth();
+  const { login, loginWithPasskey, isAuthenticated, isLoading, preferences } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
-  const [loginError, setLoginError] = useState('');
+  // SSO failures come back as a query parameter from the backend redirect
+  const [loginError, setLoginError] = useState(
+    () => new URLSearchParams(location.search).get('ssoError') || ''
+  );
+  const [loginMethods, setLoginMethods] = useState(null);
+  const [useMagicLink, setUseMagicLink] = useState(false);
+  const [passkeyPending, setPasskeyPending] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
-  // Get the return URL from location state or default to dashboard
-  const from = location.state?.from || '/dashboard';
+  // Get the return URL from location state, if a protected page sent us here
+  const from = location.state?.from;
 
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated && !isLoading) {
-      navigate(from, { replace: true });
+      navigate(from || preferences.landingPage, { replace: true });
     }
-  }, [isAuthenticated, isLoading, navigate, from]);
+  }, [isAuthenticated, isLoading, navigate, from, preferences.landingPage]);
+
+  // Only offer the login methods an admin has enabled
+  useEffect(() => {
+    const fetchLoginMethods = async () => {
+      try {
+        const response = await authService.getLoginMethods();
+        if (response.success) {
+          setLoginMethods(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching login methods:', error);
+      }
+    };
+
+    fetchLoginMethods();
+  }, []);
+
+  // Until the methods load, assume password login is available
+  const passwordEnabled = loginMethods?.password !== false;
+  const showMagicLinkForm = loginMethods?.magicLink && (useMagicLink || !passwordEnabled);
+  const passkeysSupported = browserSupportsWebAuthn();
+  const showAlternatives = passkeysSupported || loginMethods?.sso?.enabled;
+
+  // Tick every second while locked out so the countdown updates
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(null);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const lockoutSeconds = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
+
+  const formatLockout = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
 
   // Form handling
   const {
@@ -55,9 +112,16 @@ const Login = () => {
       const result = await login(data.email, data.password);
       
       if (result.success) {
-        // Navigate to the intended page or dashboard
-        navigate(from, { replace: true });
+        // Navigate to the intended page or the user's landing page
+        navigate(from || result.landingPage, { replace: true });
         reset(); // Clear form
+      } else if (result.twoFactorRequired) {
+        // Ask for the second factor
+        setChallengeToken(result.challengeToken);
+      } else if (result.retryAfter) {
+        // Account or IP temporarily locked
+        setNow(Date.now());
+        setLockedUntil(Date.now() + result.retryAfter * 1000);
       } else {
         setLoginError(result.message || 'Login failed. Please try again.');
       }
@@ -67,6 +131,20 @@ const Login = () => {
     }
   };
 
+  const handlePasskeyLogin = async () => {
+    setLoginError('');
+    setPasskeyPending(true);
+
+    const result = await loginWithPasskey();
+
+    setPasskeyPending(false);
+    if (result.success) {
+      navigate(from || result.landingPage, { replace: true });
+    } else {
+      setLoginError(result.message);
+    }
+  };
+
   // Show loading spinner while checking authentication
   if (isLoading) {
     return (
@@ -84,96 +162,167 @@ const Login = () => {
         <Row className="justify-content-center">
           <Col md={6} lg={5}>
             <div className="auth-card fade-in">
-              <div className="text-center mb-4">
-                <h2 className="auth-title">Welcome Back</h2>
-                <p className="text-muted">
-                  Sign in to your account to continue
-                </p>
-              </div>
-
-              {loginError && (
-                <Alert variant="danger" className="mb-3">
-                  {loginError}
-                </Alert>
-              )}
+              {challengeToken ? (
+                <TwoFactorLoginForm
+                  challengeToken={challengeToken}
+                  onSuccess={(result) => {
+                    navigate(from || result.landingPage, { replace: true });
+                    reset();
+                  }}
+                  onCancel={() => {
+                    setChallengeToken(null);
+                    reset();
+                  }}
+                />
+              ) : (
+                <>
+                  <div className="text-center mb-4">
+                    <h2 className="auth-title">Welcome Back</h2>
+                    <p className="text-muted">
+                      Sign in to your account to continue
+                    </p>
+                  </div>
+
+                  {lockoutSeconds > 0 ? (
+                    <Alert variant="warning" className="mb-3">
+                      🔒 Too many failed sign-in attempts. You can try again in{' '}
+                      <strong>{formatLockout(lockoutSeconds)}</strong>.
+                    </Alert>
+                  ) : loginError && (
+                    <Alert variant="danger" className="mb-3">
+                      {loginError}
+                    </Alert>
+                  )}
+
+                  {showMagicLinkForm ? (
+                    <MagicLinkForm
+                      onUsePassword={passwordEnabled ? () => setUseMagicLink(false) : null}
+                    />
+                  ) : passwordEnabled ? (
+                    <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Email Address</Form.Label>
+                        <Form.Control
+                          type="email"
+                          placeholder="Enter your email"
+                          {...register('email')}
+                          isInvalid={!!errors.email}
+                          autoComplete="email"
+                        />
+                        <Form.Control.Feedback type="invalid">
+                          {errors.email?.message}
+                        </Form.Control.Feedback>
+                      </Form.Group>
+
+                      <Form.Group className="mb-4">
+                        <Form.Label>Password</Form.Label>
+                        <Form.Control
+                          type="password"
+                          placeholder="Enter your password"
+                          {...register('password')}
+                          isInvalid={!!errors.password}
+                          autoComplete="current-password"
+                        />
+                        <Form.Control.Feedback type="invalid">
+                          {errors.password?.message}
+                        </Form.Control.Feedback>
+                      </Form.Group>
+
+                      <Button
+                        variant="primary"
+                        type="submit"
+                        className="w-100 mb-3"
+                        size="lg"
+                        disabled={isSubmitting || lockoutSeconds > 0}
+                      >
+                        {isSubmitting ? (
+                          <>
+                            <Spinner
+                              as="span"
+                              animation="border"
+                              size="sm"
+                              role="status"
+                              aria-hidden="true"
+                              className="me-2"
+                            />
+                            Signing In...
+                          </>
+                        ) : (
+                          'Sign In'
+                        )}
+                      </Button>
+
+                      {loginMethods?.magicLink && (
+                        <div className="text-center mb-3">
+                          <Button
+                            variant="link"
+                            className="auth-link p-0"
+                            onClick={() => setUseMagicLink(true)}
+                          >
+                            Email me a sign-in link instead
+                          </Button>
+                        </div>
+                      )}
+                    </Form>
+                  ) : !showAlternatives && (
+                    <Alert variant="info" className="mb-3">
+                      No sign-in methods are currently available.
+                    </Alert>
+                  )}
 
-              <Form onSubmit={handleSubmit(onSubmit)} noValidate>
-                <Form.Group className="mb-3">
-                  <Form.Label>Email Address</Form.Label>
-                  <Form.Control
-                    type="email"
-                    placeholder="Enter your email"
-                    {...register('email')}
-                    isInvalid={!!errors.email}
-                    autoComplete="email"
-                  />
-                  <Form.Control.Feedback type="invalid">
-                    {errors.email?.message}
-                  </Form.Control.Feedback>
-                </Form.Group>
-
-                <Form.Group className="mb-4">
-                  <Form.Label>Password</Form.Label>
-                  <Form.Control
-                    type="password"
-                    placeholder="Enter your password"
-                    {...register('password')}
-                    isInvalid={!!errors.password}
-                    autoComplete="current-password"
-                  />
-                  <Form.Control.Feedback type="invalid">
-                    {errors.password?.message}
-                  </Form.Control.Feedback>
-                </Form.Group>
-
-                <Button
-                  variant="primary"
-                  type="submit"
-                  className="w-100 mb-3"
-                  size="lg"
-                  disabled={isSubmitting}
-                >
-                  {isSubmitting ? (
-                    <>
-                      <Spinner
-                        as="span"
-                        animation="border"
-                        size="sm"
-                        role="status"
-                        aria-hidden="true"
-                        className="me-2"
-                      />
-                      Signing In...
-                    </>
-                  ) : (
-                    'Sign In'
+                  {showAlternatives && (passwordEnabled || loginMethods?.magicLink) && (
+                    <div className="text-center text-muted small mb-3">or</div>
                   )}
-                </Button>
-
-                <div className="text-center">
-                  <p className="mb-2">
-                    Don't have an account?{' '}
-                    <Link to="/register" className="auth-link">
-                      Sign up here
-                    </Link>
-                  </p>
+
+                  {passkeysSupported && (
+                    <Button
+                      variant="outline-secondary"
+                      className="w-100 mb-3"
+                      size="lg"
+                      onClick={handlePasskeyLogin}
+                      disabled={passkeyPending}
+                    >
+                      🔑 {passkeyPending ? 'Waiting for your passkey...' : 'Sign in with a passkey'}
+                    </Button>
+                  )}
+
+                  {loginMethods?.sso?.enabled && (
+                    <Button
+                      variant="outline-secondary"
+                      className="w-100 mb-3"
+                      size="lg"
+                      href={authService.getSsoLoginUrl()}
+                    >
+                      🔐 Sign in with {loginMethods.sso.providerName}
+                    </Button>
+                  )}
+
+                  <div className="text-center">
+                    <p className="mb-2">
+                      Don't have an account?{' '}
+                      <Link to="/register" className="auth-link">
+                        Sign up here
+                      </Link>
+                    </p>
                   
-                  {/* Placeholder for forgot password link */}
-                  <Link to="#" className="auth-link small text-muted">
-                    Forgot your password?
-                  </Link>
-                </div>
-              </Form>
-
-              <hr className="my-4" />
-
-              <div className="text-center">
-                <small className="text-muted">
-                  Demo Credentials:<br />
-                  <strong>Email:</strong> demo@example.com<br />
-                  <strong>Password:</strong> demo123
-                </small>
-              </div>
+                    {passwordEnabled && (
+                      <Link to="/forgot-password" className="auth-link small text-muted">
+                        Forgot your password?
+                      </Link>
+                    )}
+                  </div>
+
+                  <hr className="my-4" />
+
+                  <div className="text-center">
+                    <small className="text-muted">
+                      Demo Credentials:<br />
+                      <strong>Email:</strong> demo@example.com<br />
+                      <strong>Password:</strong> demo123
+                    </small>
+                  </div>
+                </>
+              )}
             </div>
           </Col>
         </Row>
@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorLoginForm from '../components/TwoFactorLoginForm';
+
+const MagicLinkLogin = () => {
+  const { completeMagicLinkLogin } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const usedRef = useRef(false);
+
+  useEffect(() => {
+    // Sign-in links only work once, so don't submit the token twice
+    // (effects run twice in development with StrictMode)
+    if (usedRef.current) return;
+    usedRef.current = true;
+
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setError('This sign-in link is invalid.');
+      return;
+    }
+
+    const signIn = async () => {
+      const result = await completeMagicLinkLogin(token);
+
+      if (result.success) {
+        navigate(result.landingPage, { replace: true });
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else {
+        setError(result.message);
+      }
+    };
+
+    signIn();
+  }, [completeMagicLinkLogin, navigate, searchParams]);
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            {challengeToken ? (
+              <div className="auth-card fade-in">
+                <TwoFactorLoginForm
+                  challengeToken={challengeToken}
+                  onSuccess={(result) => navigate(result.landingPage, { replace: true })}
+                  onCancel={() => navigate('/login', { replace: true })}
+                />
+              </div>
+            ) : (
+              <div className="auth-card fade-in text-center">
+                <h2 className="auth-title mb-4">Sign-In Link</h2>
+
+                {error ? (
+                  <>
+                    <Alert variant="danger" className="mb-3">
+                      {error}
+                    </Alert>
+                    <Link to="/login" className="auth-link">
+                      Back to sign in
+                    </Link>
+                  </>
+                ) : (
+                  <div className="mb-3">
+                    <Spinner animation="border" role="status" className="mb-2">
+                      <span className="visually-hidden">Loading...</span>
+                    </Spinner>
+                    <p className="text-muted">Signing you in...</p>
+                  </div>
+                )}
+              </div>
+            )}
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default MagicLinkLogin;
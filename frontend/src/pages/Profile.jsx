@@ -6,6 +6,56 @@ import * as yup from 'yup';
 import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 import { userService } from '../services/userService';
+import { authService } from '../services/authService';
+import ChangePasswordModal from '../components/ChangePasswordModal';
+import ChangeEmailModal from '../components/ChangeEmailModal';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+import AccessTokens from '../components/AccessTokens';
+import PasskeySettings from '../components/PasskeySettings';
+import LoginMethodSettings from '../components/LoginMethodSettings';
+import PreferenceSettings from '../components/PreferenceSettings';
+import DataExport from '../components/DataExport';
+import SecurityActivity from '../components/SecurityActivity';
+import AvatarUploader from '../components/AvatarUploader';
+import {
+  BROWSER_TIME_ZONE,
+  BROWSER_LOCALE,
+  DATE_FORMATS,
+  createDateFormatter,
+  useDateFormat,
+} from '../utils/dates';
+
+// Locales offered for date formatting (the browser's own is added if missing)
+const LOCALES = [
+  'en-US', 'en-GB', 'en-AU', 'en-CA', 'en-IN', 'de-DE', 'es-ES', 'es-MX', 'fr-FR', 'fr-CA',
+  'it-IT', 'ja-JP', 'ko-KR', 'nl-NL', 'pl-PL', 'pt-BR', 'pt-PT', 'sv-SE', 'tr-TR', 'zh-CN', 'zh-TW',
+];
+
+const LOCALE_OPTIONS = [...new Set([BROWSER_LOCALE, ...LOCALES])].map(locale => ({
+  value: locale,
+  label: new Intl.DisplayNames([locale], { type: 'language' }).of(locale),
+}));
+
+const TIME_ZONES = ['UTC', ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Form values for a user, falling back to the browser's settings
+const getProfileDefaults = (user) => ({
+  name: user?.name || '',
+  avatar: user?.avatar || '',
+  bio: user?.bio || '',
+  timezone: user?.timezone || BROWSER_TIME_ZONE,
+  locale: user?.locale || BROWSER_LOCALE,
+  dateFormat: user?.dateFormat || 'locale',
+  workingHours: {
+    start: user?.workingHours?.start || '09:00',
+    end: user?.workingHours?.end || '17:00',
+    // Checkbox values are strings
+    days: (user?.workingHours?.days || [1, 2, 3, 4, 5]).map(String),
+  },
+});
 
 // Validation schema for profile update
 const profileSchema = yup.object({
@@ -19,13 +69,40 @@ const profileSchema = yup.object({
     .string()
     .url('Avatar must be a valid URL')
     .nullable(),
+  bio: yup
+    .string()
+    .max(500, 'Bio cannot be more than 500 characters'),
+  timezone: yup
+    .string()
+    .required('Time zone is required'),
+  locale: yup
+    .string()
+    .required('Locale is required'),
+  dateFormat: yup
+    .string()
+    .oneOf(DATE_FORMATS.map(format => format.value)),
+  workingHours: yup.object({
+    start: yup
+      .string()
+      .required('Start time is required'),
+    end: yup
+      .string()
+      .required('End time is required')
+      .test('after-start', 'Working hours must end after they start', function (value) {
+        return !value || !this.parent.start || value > this.parent.start;
+      }),
+    days: yup.array().of(yup.string()),
+  }),
 });
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logoutAll, deleteAccount, hasPermission } = useAuth();
+  const { formatDateTime } = useDateFormat();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [showEmailModal, setShowEmailModal] = useState(false);
 
   // Form handling
   const {
@@ -33,21 +110,34 @@ const Profile = () => {
     handleSubmit,
     formState: { errors, isSubmitting },
     reset,
+    setValue,
+    watch,
   } = useForm({
     resolver: yupResolver(profileSchema),
-    defaultValues: {
-      name: user?.name || '',
-      avatar: user?.avatar || '',
-    }
+    defaultValues: getProfileDefaults(user)
   });
 
+  // Show today's date the way the chosen settings will display it
+  const [previewTimezone, previewLocale, previewDateFormat] = watch(['timezone', 'locale', 'dateFormat']);
+  const datePreview = createDateFormatter({
+    timezone: previewTimezone,
+    locale: previewLocale,
+    dateFormat: previewDateFormat,
+  }).formatDateTime(new Date());
+
   const onSubmit = async (data) => {
     try {
       setError('');
       setSuccess('');
       setLoading(true);
 
-      const response = await userService.updateProfile(data);
+      const response = await userService.updateProfile({
+        ...data,
+        workingHours: {
+          ...data.workingHours,
+          days: data.workingHours.days.map(Number).sort((a, b) => a - b),
+        },
+      });
 
       if (response.success) {
         // Update user in context
@@ -68,38 +158,55 @@ const Profile = () => {
     }
   };
 
-  const handleDeactivateAccount = async () => {
+  const handleDeleteAccount = async () => {
     const confirmed = window.confirm(
-      'Are you sure you want to deactivate your account? This action cannot be undone.'
+      'Delete your account? You will be signed out everywhere, and your tasks and personal data ' +
+      'will be permanently deleted unless you sign in again before the deletion date.'
     );
 
     if (!confirmed) return;
 
-    try {
-      setLoading(true);
-      const response = await userService.deactivateAccount();
+    setLoading(true);
+    const result = await deleteAccount();
+    setLoading(false);
 
+    if (result.success) {
+      toast.success(
+        `Your account will be deleted on ${formatDate(result.scheduledFor)}. Sign in before then to cancel.`,
+        { duration: 8000 }
+      );
+    }
+  };
+
+  const handleCancelEmailChange = async () => {
+    try {
+      const response = await authService.cancelEmailChange();
       if (response.success) {
-        toast.success('Account deactivated successfully');
-        // Force logout after deactivation
-        window.location.href = '/';
+        updateUser({ ...user, pendingEmail: null });
+        toast.success('Email change cancelled');
       }
     } catch (error) {
-      console.error('Account deactivation error:', error);
-      const errorMessage = error.response?.data?.message || 'Failed to deactivate account.';
-      toast.error(errorMessage);
-    } finally {
-      setLoading(false);
+      toast.error(error.response?.data?.message || 'Failed to cancel email change.');
     }
   };
 
+  const handleLogoutAll = async () => {
+    const confirmed = window.confirm(
+      'Log out of all devices? You will need to sign in again everywhere, including here.'
+    );
+
+    if (!confirmed) return;
+
+    setLoading(true);
+    await logoutAll();
+    setLoading(false);
+  };
+
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return formatDateTime(dateString, {
       year: 'numeric',
       month: 'long',
       day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
     });
   };
 
@@ -169,15 +276,25 @@ const Profile = () => {
                         disabled
                         className="bg-light"
                       />
-                      <Form.Text className="text-muted">
-                        Email cannot be changed
-                      </Form.Text>
+                      {user?.pendingEmail ? (
+                        <Form.Text className="text-muted">
+                          Waiting for you to confirm {user.pendingEmail}.{' '}
+                          <Button variant="link" size="sm" className="p-0 align-baseline" onClick={handleCancelEmailChange}>
+                            Cancel
+                          </Button>
+                        </Form.Text>
+                      ) : (
+                        <Button variant="link" size="sm" className="p-0" onClick={() => setShowEmailModal(true)}>
+                          Change email
+                        </Button>
+                      )}
                     </Form.Group>
                   </Col>
                 </Row>
 
                 <Form.Group className="mb-4">
-                  <Form.Label>Avatar URL (Optional)</Form.Label>
+                  <Form.Label>Avatar (Optional)</Form.Label>
+                  <AvatarUploader onAvatarChange={(avatar) => setValue('avatar', avatar)} />
                   <Form.Control
                     type="url"
                     placeholder="https://example.com/avatar.jpg"
@@ -188,10 +305,114 @@ const Profile = () => {
                     {errors.avatar?.message}
                   </Form.Control.Feedback>
                   <Form.Text className="text-muted">
-                    Provide a URL to your profile picture
+                    Or provide a URL to your profile picture
                   </Form.Text>
                 </Form.Group>
 
+                <Form.Group className="mb-4">
+                  <Form.Label>Bio (Optional)</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={3}
+                    placeholder="Tell your teammates a little about yourself"
+                    {...register('bio')}
+                    isInvalid={!!errors.bio}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.bio?.message}
+                  </Form.Control.Feedback>
+                </Form.Group>
+
+                <h6>🌍 Regional Settings</h6>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Time Zone</Form.Label>
+                      <Form.Select {...register('timezone')} isInvalid={!!errors.timezone}>
+                        {TIME_ZONES.map(zone => (
+                          <option key={zone} value={zone}>
+                            {zone.replace(/_/g, ' ')}
+                          </option>
+                        ))}
+                      </Form.Select>
+                      <Form.Control.Feedback type="invalid">
+                        {errors.timezone?.message}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Locale</Form.Label>
+                      <Form.Select {...register('locale')} isInvalid={!!errors.locale}>
+                        {LOCALE_OPTIONS.map(locale => (
+                          <option key={locale.value} value={locale.value}>
+                            {locale.label}
+                          </option>
+                        ))}
+                      </Form.Select>
+                      <Form.Control.Feedback type="invalid">
+                        {errors.locale?.message}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Date Format</Form.Label>
+                      <Form.Select {...register('dateFormat')}>
+                        {DATE_FORMATS.map(format => (
+                          <option key={format.value} value={format.value}>
+                            {format.label}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Form.Text className="text-muted d-block mb-3">
+                  Dates will look like: {datePreview}
+                </Form.Text>
+
+                <Form.Group className="mb-4">
+                  <Form.Label>Working Hours</Form.Label>
+                  <Row className="g-2 align-items-center mb-2">
+                    <Col xs="auto">
+                      <Form.Control
+                        type="time"
+                        {...register('workingHours.start')}
+                        isInvalid={!!errors.workingHours?.start}
+                      />
+                    </Col>
+                    <Col xs="auto">to</Col>
+                    <Col xs="auto">
+                      <Form.Control
+                        type="time"
+                        {...register('workingHours.end')}
+                        isInvalid={!!errors.workingHours?.end}
+                      />
+                    </Col>
+                  </Row>
+                  <div>
+                    {WEEKDAYS.map((day, index) => (
+                      <Form.Check
+                        key={day}
+                        inline
+                        type="checkbox"
+                        id={`working-day-${index}`}
+                        label={day}
+                        value={String(index)}
+                        {...register('workingHours.days')}
+                      />
+                    ))}
+                  </div>
+                  {(errors.workingHours?.start || errors.workingHours?.end) && (
+                    <div className="invalid-feedback d-block">
+                      {errors.workingHours.start?.message || errors.workingHours.end?.message}
+                    </div>
+                  )}
+                </Form.Group>
+
                 <div className="d-flex gap-2">
                   <Button
                     variant="primary"
@@ -217,10 +438,7 @@ const Profile = () => {
 
                   <Button
                     variant="outline-secondary"
-                    onClick={() => reset({
-                      name: user?.name || '',
-                      avatar: user?.avatar || '',
-                    })}
+                    onClick={() => reset(getProfileDefaults(user))}
                     disabled={isSubmitting || loading}
                   >
                     Reset
@@ -230,6 +448,16 @@ const Profile = () => {
             </Card.Body>
           </Card>
 
+          {/* Preferences */}
+          <Card className="mb-4">
+            <Card.Header>
+              <h5 className="mb-0">⚙️ Preferences</h5>
+            </Card.Header>
+            <Card.Body>
+              <PreferenceSettings />
+            </Card.Body>
+          </Card>
+
           {/* Account Security */}
           <Card className="mb-4">
             <Card.Header>
@@ -241,30 +469,85 @@ const Profile = () => {
                 <p className="text-muted mb-2">
                   Keep your account secure with a strong password.
                 </p>
-                <Button variant="outline-primary" size="sm">
+                <Button
+                  variant="outline-primary"
+                  size="sm"
+                  onClick={() => setShowPasswordModal(true)}
+                >
                   Change Password
                 </Button>
               </div>
 
               <hr />
 
+              <TwoFactorSettings />
+
+              <hr />
+
+              <PasskeySettings />
+
+              <hr />
+
+              <AccessTokens />
+
+              <hr />
+
+              <ActiveSessions />
+
+              <div className="mb-3">
+                <p className="text-muted mb-2">
+                  Think someone else has access to your account? Log out everywhere to end every session, including this one.
+                </p>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  onClick={handleLogoutAll}
+                  disabled={loading}
+                >
+                  Log Out Everywhere
+                </Button>
+              </div>
+
+              <hr />
+
+              <SecurityActivity />
+
+              <hr />
+
+              <DataExport />
+
+              <hr />
+
               <div>
                 <h6 className="text-danger">Danger Zone</h6>
                 <p className="text-muted mb-2">
-                  Deactivating your account will disable access and hide your profile.
-                  This action cannot be undone.
+                  Deleting your account signs you out everywhere. After a grace period your
+                  tasks and personal data are permanently removed. Sign in again before then
+                  to cancel the deletion.
                 </p>
                 <Button
                   variant="outline-danger"
                   size="sm"
-                  onClick={handleDeactivateAccount}
+                  onClick={handleDeleteAccount}
                   disabled={loading}
                 >
-                  {loading ? 'Processing...' : 'Deactivate Account'}
+                  {loading ? 'Processing...' : 'Delete Account'}
                 </Button>
               </div>
             </Card.Body>
           </Card>
+
+          {/* Sign-In Methods (admins only) */}
+          {hasPermission('settings:manage') && (
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">⚙️ Sign-In Methods</h5>
+              </Card.Header>
+              <Card.Body>
+                <LoginMethodSettings />
+              </Card.Body>
+            </Card>
+          )}
         </Col>
 
         <Col lg={4}>
@@ -305,13 +588,16 @@ const Profile = () => {
 
               <h5 className="mb-1">{user?.name || 'User Name'}</h5>
               <p className="text-muted mb-2">{user?.email}</p>
+              {user?.bio && (
+                <p className="small mb-2">{user.bio}</p>
+              )}
               
               <div className="d-flex justify-content-center gap-2">
                 <span className={`badge ${user?.isActive ? 'bg-success' : 'bg-secondary'}`}>
                   {user?.isActive ? 'Active' : 'Inactive'}
                 </span>
                 <span className="badge bg-info">
-                  {user?.role === 'admin' ? 'Admin' : 'User'}
+                  {user?.role ? user.role.charAt(0).toUpperCase() + user.role.slice(1) : 'User'}
                 </span>
               </div>
             </Card.Body>
@@ -354,6 +640,18 @@ const Profile = () => {
           </Card>
         </Col>
       </Row>
+
+      {/* Change Password Modal */}
+      <ChangePasswordModal
+        show={showPasswordModal}
+        onHide={() => setShowPasswordModal(false)}
+      />
+
+      {/* Change Email Modal */}
+      <ChangeEmailModal
+        show={showEmailModal}
+        onHide={() => setShowEmailModal(false)}
+      />
     </Container>
   );
 };
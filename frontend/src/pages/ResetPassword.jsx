@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import toast from 'react-hot-toast';
+import { authService } from '../services/authService';
+
+// Validation schema
+const resetPasswordSchema = yup.object({
+  password: yup
+    .string()
+    .required('Password is required')
+    .min(6, 'Password must be at least 6 characters')
+    .matches(
+      /^(?=.*[a-zA-Z])(?=.*[0-9])/,
+      'Password must contain at least one letter and one number'
+    ),
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your password')
+    .oneOf([yup.ref('password')], 'Passwords must match'),
+});
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [resetError, setResetError] = useState('');
+
+  const token = searchParams.get('token');
+
+  // Form handling
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: yupResolver(resetPasswordSchema),
+    defaultValues: {
+      password: '',
+      confirmPassword: '',
+    }
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      setResetError('');
+
+      const response = await authService.resetPassword(token, data.password);
+
+      if (response.success) {
+        toast.success(response.message);
+        navigate('/login', { replace: true });
+      } else {
+        setResetError(response.message || 'Password reset failed. Please try again.');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Password reset failed. Please try again.';
+      setResetError(errorMessage);
+      console.error('Reset password error:', error);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            <div className="auth-card fade-in">
+              <div className="text-center mb-4">
+                <h2 className="auth-title">Reset Password</h2>
+                <p className="text-muted">
+                  Choose a new password for your account
+                </p>
+              </div>
+
+              {!token ? (
+                <Alert variant="danger" className="mb-3">
+                  This password reset link is invalid. Please request a new one.
+                </Alert>
+              ) : (
+                <>
+                  {resetError && (
+                    <Alert variant="danger" className="mb-3">
+                      {resetError}
+                    </Alert>
+                  )}
+
+                  <Form onSubmit={handleSubmit(onSubmit)} noValidate>
+                    <Form.Group className="mb-3">
+                      <Form.Label>New Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        placeholder="Enter a new password"
+                        {...register('password')}
+                        isInvalid={!!errors.password}
+                        autoComplete="new-password"
+                      />
+                      <Form.Control.Feedback type="invalid">
+                        {errors.password?.message}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+
+                    <Form.Group className="mb-4">
+                      <Form.Label>Confirm New Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        placeholder="Confirm your new password"
+                        {...register('confirmPassword')}
+                        isInvalid={!!errors.confirmPassword}
+                        autoComplete="new-password"
+                      />
+                      <Form.Control.Feedback type="invalid">
+                        {errors.confirmPassword?.message}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+
+                    <Button
+                      variant="primary"
+                      type="submit"
+                      className="w-100 mb-3"
+                      size="lg"
+                      disabled={isSubmitting}
+                    >
+                      {isSubmitting ? (
+                        <>
+                          <Spinner
+                            as="span"
+                            animation="border"
+                            size="sm"
+                            role="status"
+                            aria-hidden="true"
+                            className="me-2"
+                          />
+                          Resetting...
+                        </>
+                      ) : (
+                        'Reset Password'
+                      )}
+                    </Button>
+                  </Form>
+                </>
+              )}
+
+              <div className="text-center">
+                <p className="mb-2">
+                  <Link to="/forgot-password" className="auth-link small">
+                    Request a new link
+                  </Link>
+                </p>
+                <Link to="/login" className="auth-link small text-muted">
+                  Back to sign in
+                </Link>
+              </div>
+            </div>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const SsoCallback = () => {
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const exchangedRef = useRef(false);
+
+  useEffect(() => {
+    // The login code can only be used once, so don't exchange it twice
+    // (effects run twice in development with StrictMode)
+    if (exchangedRef.current) return;
+    exchangedRef.current = true;
+
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+
+    // Drop the code from the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!code) {
+      setError('This sign-in link is invalid.');
+      return;
+    }
+
+    const exchange = async () => {
+      const result = await completeSsoLogin(code);
+
+      if (result.success) {
+        navigate(result.landingPage, { replace: true });
+      } else {
+        setError(result.message);
+      }
+    };
+
+    exchange();
+  }, [completeSsoLogin, navigate]);
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            <div className="auth-card fade-in text-center">
+              <h2 className="auth-title mb-4">Single Sign-On</h2>
+
+              {error ? (
+                <>
+                  <Alert variant="danger" className="mb-3">
+                    {error}
+                  </Alert>
+                  <Link to="/login" className="auth-link">
+                    Back to sign in
+                  </Link>
+                </>
+              ) : (
+                <div className="mb-3">
+                  <Spinner animation="border" role="status" className="mb-2">
+                    <span className="visually-hidden">Loading...</span>
+                  </Spinner>
+                  <p className="text-muted">Signing you in...</p>
+                </div>
+              )}
+            </div>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default SsoCallback;
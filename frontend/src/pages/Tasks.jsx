@@ -8,6 +8,9 @@ import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import toast from 'react-hot-toast';
 import { taskService } from '../services/taskService';
+import { useAuth } from '../context/AuthContext';
+import { useDateFormat } from '../utils/dates';
+import { PAGE_SIZES, TASK_SORT_OPTIONS } from '../utils/preferences';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 // Validation schema for task form
@@ -35,19 +38,22 @@ const taskSchema = yup.object({
 });
 
 const Tasks = () => {
+  const { preferences, updatePreferences } = useAuth();
+  const { formatDate, formatDueDate, isOverdue } = useDateFormat();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   
-  // Filters and search
+  // Filters and search, starting from the user's saved view
   const [filters, setFilters] = useState({
     search: '',
-    status: '',
-    priority: '',
-    category: '',
+    ...preferences.tasks.filters,
   });
+  const [sort, setSort] = useState(preferences.tasks.sort);
+  const [pageSize, setPageSize] = useState(preferences.tasks.pageSize);
+  const [savingView, setSavingView] = useState(false);
   
   // Pagination
   const [pagination, setPagination] = useState({
@@ -78,7 +84,7 @@ const Tasks = () => {
 
   useEffect(() => {
     fetchTasks();
-  }, [filters, pagination.current]);
+  }, [filters, sort, pageSize, pagination.current]);
 
   const fetchTasks = async () => {
     try {
@@ -88,7 +94,8 @@ const Tasks = () => {
       const params = {
         ...filters,
         page: pagination.current,
-        limit: 10,
+        limit: pageSize,
+        sort,
       };
 
       // Remove empty filters
@@ -203,6 +210,31 @@ const Tasks = () => {
     }));
   };
 
+  const handleViewChange = (setter, value) => {
+    setter(value);
+    setPagination(prev => ({
+      ...prev,
+      current: 1,
+    }));
+  };
+
+  // Open the task list with the current filters, sort and page size from now on
+  const saveDefaultView = async () => {
+    const { status, priority, category } = filters;
+
+    setSavingView(true);
+    const result = await updatePreferences({
+      tasks: { pageSize, sort, filters: { status, priority, category } },
+    });
+    setSavingView(false);
+
+    if (result.success) {
+      toast.success('Default view saved');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
   const clearFilters = () => {
     setFilters({
       search: '',
@@ -234,14 +266,6 @@ const Tasks = () => {
     }
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
-  };
-
   if (loading && tasks.length === 0) {
     return <LoadingSpinner fullScreen message="Loading tasks..." />;
   }
@@ -346,6 +370,44 @@ const Tasks = () => {
               </div>
             </Col>
           </Row>
+
+          <Row className="g-3 align-items-end mt-1">
+            <Col md={3}>
+              <Form.Label>Sort By</Form.Label>
+              <Form.Select
+                value={sort}
+                onChange={(e) => handleViewChange(setSort, e.target.value)}
+              >
+                {TASK_SORT_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Col>
+
+            <Col md={2}>
+              <Form.Label>Per Page</Form.Label>
+              <Form.Select
+                value={pageSize}
+                onChange={(e) => handleViewChange(setPageSize, Number(e.target.value))}
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </Form.Select>
+            </Col>
+
+            <Col md={{ span: 3, offset: 4 }}>
+              <div className="d-grid">
+                <Button
+                  variant="outline-primary"
+                  onClick={saveDefaultView}
+                  disabled={savingView}
+                >
+                  {savingView ? 'Saving...' : '💾 Save as Default View'}
+                </Button>
+              </div>
+            </Col>
+          </Row>
         </Card.Body>
       </Card>
 
@@ -405,10 +467,10 @@ const Tasks = () => {
                           )}
                           {task.dueDate && (
                             <Badge 
-                              bg={new Date(task.dueDate) < new Date() ? 'danger' : 'info'}
+                              bg={isOverdue(task.dueDate) && task.status !== 'completed' ? 'danger' : 'info'}
                               className="me-2"
                             >
-                              Due: {formatDate(task.dueDate)}
+                              Due: {formatDueDate(task.dueDate)}
                             </Badge>
                           )}
                         </div>
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const VerifyEmail = () => {
+  const { isAuthenticated, user, updateUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setStatus('error');
+        setMessage('This verification link is invalid.');
+        return;
+      }
+
+      try {
+        const response = await authService.verifyEmail(token);
+
+        if (response.success) {
+          setStatus('success');
+          setMessage(response.message);
+        } else {
+          setStatus('error');
+          setMessage(response.message || 'Verification failed.');
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification failed. Please try again.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Reflect the new state in the signed-in user
+  useEffect(() => {
+    if (status === 'success' && user && !user.emailVerified) {
+      updateUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="auth-container">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={5}>
+            <div className="auth-card fade-in text-center">
+              <h2 className="auth-title mb-4">Email Verification</h2>
+
+              {status === 'verifying' && (
+                <div className="mb-3">
+                  <Spinner animation="border" role="status" className="mb-2">
+                    <span className="visually-hidden">Loading...</span>
+                  </Spinner>
+                  <p className="text-muted">Verifying your email address...</p>
+                </div>
+              )}
+
+              {status === 'success' && (
+                <Alert variant="success" className="mb-3">
+                  ✅ {message}
+                </Alert>
+              )}
+
+              {status === 'error' && (
+                <Alert variant="danger" className="mb-3">
+                  {message}
+                  {isAuthenticated && (
+                    <div className="small mt-2">
+                      You can request a new link from your dashboard.
+                    </div>
+                  )}
+                </Alert>
+              )}
+
+              {status !== 'verifying' && (
+                <Link
+                  to={isAuthenticated ? '/dashboard' : '/login'}
+                  className="btn btn-primary"
+                >
+                  {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+                </Link>
+              )}
+            </div>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,18 +1,80 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+// Set VITE_AUTH_MODE=cookie when the backend runs with AUTH_MODE=cookie.
+// Tokens then live in httpOnly cookies and never reach this code.
+export const COOKIE_AUTH = import.meta.env.VITE_AUTH_MODE === 'cookie';
+
+// Double-submit CSRF token set by the backend in cookie mode
+const CSRF_COOKIE = 'tm_csrf';
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Read a (non-httpOnly) cookie
+const getCookie = (name) => {
+  const match = document.cookie
+    .split('; ')
+    .find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// Requests that sign in or renew a session. A 401 from these means the
+// credentials were wrong, not that the access token expired.
+const SESSION_URLS = [
+  '/auth/register',
+  '/auth/login',
+  '/auth/2fa/login',
+  '/auth/magic-link/login',
+  '/auth/passkeys/login/verify',
+  '/auth/oidc/exchange',
+  '/auth/refresh',
+];
+
+// Ends an admin's impersonation and returns them to their own session
+const IMPERSONATION_STOP_URL = '/auth/impersonation/stop';
+
+// What to do after a 401, registered by AuthProvider: refreshSession renews
+// the session, stopImpersonation goes back to the impersonating admin's own
+let sessionHandlers = null;
+
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = handlers;
+};
+
+// Forget the stored tokens and send the user to the login page
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('tokenExpiresAt');
+  if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
+    toast.error('Session expired. Please login again.');
+    window.location.href = '/login';
+  }
+};
+
+// Base URL of the backend API
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
 // Create axios instance
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
+  baseURL: API_URL,
   timeout: 10000,
+  withCredentials: COOKIE_AUTH,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Request interceptor to add auth token
+// Request interceptor to add auth token (or the CSRF token in cookie mode)
 api.interceptors.request.use(
   (config) => {
+    if (COOKIE_AUTH) {
+      const csrfToken = getCookie(CSRF_COOKIE);
+      if (csrfToken && !SAFE_METHODS.includes(config.method)) {
+        config.headers['X-CSRF-Token'] = csrfToken;
+      }
+      return config;
+    }
+
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -24,12 +86,50 @@ api.interceptors.request.use(
   }
 );
 
+// Renew the session once and replay a request that failed with a 401.
+// The replay is marked so a second 401 ends the session instead of looping.
+const retryAfterRefresh = (error) => {
+  const { config } = error;
+  config._retried = true;
+
+  // Another request already renewed the token this one was sent with
+  const token = localStorage.getItem('token');
+  if (!COOKIE_AUTH && token && config.headers.Authorization !== `Bearer ${token}`) {
+    return api(config);
+  }
+
+  return sessionHandlers.refreshSession().then(
+    () => api(config),
+    () => {
+      endSession();
+      return Promise.reject(error);
+    }
+  );
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
     return response.data;
   },
   (error) => {
+    const { config } = error;
+    if (error.response?.status === 401 && config && sessionHandlers) {
+      // While impersonating, a 401 means the impersonation is over. Renewing
+      // would pick up the admin's refresh cookie and replay the request as the
+      // admin, so go back to the admin's own session instead.
+      if (localStorage.getItem('impersonationExpiresAt')) {
+        if (config.url !== IMPERSONATION_STOP_URL) {
+          sessionHandlers.stopImpersonation();
+        }
+        return Promise.reject(error);
+      }
+
+      if (!config._retried && !SESSION_URLS.includes(config.url)) {
+        return retryAfterRefresh(error);
+      }
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
@@ -37,17 +137,13 @@ api.interceptors.response.use(
       
       switch (status) {
         case 401:
-          // Unauthorized - token expired or invalid
-          localStorage.removeItem('token');
-          if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
-            toast.error('Session expired. Please login again.');
-            window.location.href = '/login';
-          }
+          // Unauthorized - bad credentials, or the session couldn't be renewed
+          endSession();
           break;
           
         case 403:
-          // Forbidden - insufficient permissions
-          toast.error('Access denied. Insufficient permissions.');
+          // Forbidden - insufficient permissions or unverified email
+          toast.error(data.message || 'Access denied. Insufficient permissions.');
           break;
           
         case 404:
@@ -65,8 +161,8 @@ api.interceptors.response.use(
           break;
           
         case 429:
-          // Rate limiting
-          toast.error('Too many requests. Please try again later.');
+          // Rate limiting or login lockout
+          toast.error(data?.message || 'Too many requests. Please try again later.');
           break;
           
         case 500:
@@ -107,6 +203,8 @@ export const apiService = {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
+      // Large files can take longer than the default timeout on slow connections
+      timeout: 60000,
     };
     
     if (onUploadProgress) {
@@ -1,4 +1,4 @@
-import { apiService } from './api';
+import { apiService, API_URL } from './api';
 
 export const authService = {
   // Register new user
@@ -28,10 +28,148 @@ export const authService = {
     }
   },
 
+  // Complete a 2FA login with a TOTP code or a recovery code
+  verifyTwoFactorLogin: async (challengeToken, { code, recoveryCode }) => {
+    const response = await apiService.post('/auth/2fa/login', {
+      challengeToken,
+      code,
+      recoveryCode,
+    });
+    return response;
+  },
+
+  // Start 2FA enrollment (returns QR code and secret)
+  setupTwoFactor: async () => {
+    const response = await apiService.post('/auth/2fa/setup');
+    return response;
+  },
+
+  // Confirm 2FA enrollment (returns recovery codes)
+  enableTwoFactor: async (code) => {
+    const response = await apiService.post('/auth/2fa/enable', {
+      code,
+    });
+    return response;
+  },
+
+  // Turn off 2FA
+  disableTwoFactor: async (password) => {
+    const response = await apiService.post('/auth/2fa/disable', {
+      password,
+    });
+    return response;
+  },
+
+  // Login methods currently enabled (password, magic link, SSO)
+  getLoginMethods: async () => {
+    const response = await apiService.get('/auth/login-methods');
+    return response;
+  },
+
+  // Turn login methods on or off (admin only)
+  updateLoginMethods: async (loginMethods) => {
+    const response = await apiService.put('/auth/login-methods', loginMethods);
+    return response;
+  },
+
+  // Email a single-use sign-in link
+  requestMagicLink: async (email) => {
+    const response = await apiService.post('/auth/magic-link', {
+      email,
+    });
+    return response;
+  },
+
+  // Sign in with the token from a magic link
+  loginWithMagicLink: async (token) => {
+    const response = await apiService.post('/auth/magic-link/login', {
+      token,
+    });
+    return response;
+  },
+
+  // Backend URL that starts an SSO login (a full page redirect, not an API call)
+  getSsoLoginUrl: () => `${API_URL}/auth/oidc/login`,
+
+  // Exchange the one-time code from an SSO login for tokens
+  exchangeSsoCode: async (code) => {
+    const response = await apiService.post('/auth/oidc/exchange', {
+      code,
+    });
+    return response;
+  },
+
+  // Start a passkey login (returns WebAuthn options and a challenge token)
+  getPasskeyLoginOptions: async () => {
+    const response = await apiService.post('/auth/passkeys/login/options');
+    return response;
+  },
+
+  // Finish a passkey login with the authenticator's response
+  verifyPasskeyLogin: async (challengeToken, credential) => {
+    const response = await apiService.post('/auth/passkeys/login/verify', {
+      challengeToken,
+      response: credential,
+    });
+    return response;
+  },
+
+  // Start registering a passkey for the current user
+  getPasskeyRegistrationOptions: async () => {
+    const response = await apiService.post('/auth/passkeys/register/options');
+    return response;
+  },
+
+  // Finish registering a passkey with the authenticator's response
+  verifyPasskeyRegistration: async (challengeToken, credential, name) => {
+    const response = await apiService.post('/auth/passkeys/register/verify', {
+      challengeToken,
+      response: credential,
+      name,
+    });
+    return response;
+  },
+
+  // List the current user's passkeys
+  getPasskeys: async () => {
+    const response = await apiService.get('/auth/passkeys');
+    return response;
+  },
+
+  // Rename a passkey
+  renamePasskey: async (passkeyId, name) => {
+    const response = await apiService.put(`/auth/passkeys/${passkeyId}`, {
+      name,
+    });
+    return response;
+  },
+
+  // Remove a passkey
+  deletePasskey: async (passkeyId) => {
+    const response = await apiService.delete(`/auth/passkeys/${passkeyId}`);
+    return response;
+  },
+
+  // Start viewing the app as another user (admin only)
+  startImpersonation: async (userId, reason) => {
+    const response = await apiService.post(`/users/${userId}/impersonate`, {
+      reason,
+    });
+    return response;
+  },
+
+  // End the current impersonation
+  stopImpersonation: async () => {
+    const response = await apiService.post('/auth/impersonation/stop');
+    return response;
+  },
+
   // Logout user
-  logout: async () => {
+  logout: async (refreshToken) => {
     try {
-      const response = await apiService.post('/auth/logout');
+      const response = await apiService.post('/auth/logout', {
+        refreshToken,
+      });
       return response;
     } catch (error) {
       // Don't throw error for logout, just log it
@@ -40,6 +178,48 @@ export const authService = {
     }
   },
 
+  // Log out of every session (all devices)
+  logoutAll: async () => {
+    const response = await apiService.post('/auth/logout-all');
+    return response;
+  },
+
+  // List signed-in devices
+  getSessions: async () => {
+    const response = await apiService.get('/auth/sessions');
+    return response;
+  },
+
+  // Sign out a single device
+  revokeSession: async (sessionId) => {
+    const response = await apiService.delete(`/auth/sessions/${sessionId}`);
+    return response;
+  },
+
+  // Sign out every device except this one
+  revokeOtherSessions: async () => {
+    const response = await apiService.delete('/auth/sessions');
+    return response;
+  },
+
+  // List personal access tokens
+  getAccessTokens: async () => {
+    const response = await apiService.get('/auth/tokens');
+    return response;
+  },
+
+  // Create a personal access token (the token itself is only returned once)
+  createAccessToken: async (tokenData) => {
+    const response = await apiService.post('/auth/tokens', tokenData);
+    return response;
+  },
+
+  // Revoke a personal access token
+  revokeAccessToken: async (tokenId) => {
+    const response = await apiService.delete(`/auth/tokens/${tokenId}`);
+    return response;
+  },
+
   // Get current user profile
   getCurrentUser: async () => {
     try {
@@ -60,19 +240,57 @@ export const authService = {
     }
   },
 
-  // Refresh token (if implemented on backend)
+  // Exchange refresh token for a new token pair
   refreshToken: async (refreshToken) => {
     try {
-      const response = await apiService.post('/auth/refresh', {
+      // In cookie mode there is no token here; the backend reads its cookie
+      const response = await apiService.post('/auth/refresh', refreshToken ? {
         refreshToken,
-      });
+      } : {});
       return response;
     } catch (error) {
       throw error;
     }
   },
 
-  // Request password reset (if implemented)
+  // Confirm email address with the token from the verification link
+  verifyEmail: async (token) => {
+    const response = await apiService.post('/auth/verify-email', {
+      token,
+    });
+    return response;
+  },
+
+  // Ask to change the account's email address (a confirmation link goes to the new one)
+  changeEmail: async (newEmail, password) => {
+    const response = await apiService.post('/auth/change-email', {
+      newEmail,
+      password,
+    });
+    return response;
+  },
+
+  // Cancel a pending email change
+  cancelEmailChange: async () => {
+    const response = await apiService.delete('/auth/change-email');
+    return response;
+  },
+
+  // Switch to the new email address with the token from the confirmation link
+  confirmEmailChange: async (token) => {
+    const response = await apiService.post('/auth/confirm-email-change', {
+      token,
+    });
+    return response;
+  },
+
+  // Send a new verification email
+  resendVerification: async () => {
+    const response = await apiService.post('/auth/resend-verification');
+    return response;
+  },
+
+  // Request password reset email
   requestPasswordReset: async (email) => {
     try {
       const response = await apiService.post('/auth/forgot-password', {
@@ -84,7 +302,7 @@ export const authService = {
     }
   },
 
-  // Reset password (if implemented)
+  // Reset password with the token from the email
   resetPassword: async (token, newPassword) => {
     try {
       const response = await apiService.post('/auth/reset-password', {
@@ -13,6 +13,7 @@ export const taskService = {
       if (params.search) queryParams.append('search', params.search);
       if (params.page) queryParams.append('page', params.page);
       if (params.limit) queryParams.append('limit', params.limit);
+      if (params.sort) queryParams.append('sort', params.sort);
       
       const query = queryParams.toString();
       const url = query ? `/tasks?${query}` : '/tasks';
@@ -74,6 +75,12 @@ export const taskService = {
     }
   },
 
+  // Get task statistics across all users (admin only)
+  getSystemTaskStats: async () => {
+    const response = await apiService.get('/tasks/stats/system');
+    return response;
+  },
+
   // Bulk update tasks
   bulkUpdateTasks: async (taskIds, updateData) => {
     try {
@@ -31,8 +31,8 @@ export const userService = {
     }
   },
 
-  // Deactivate user account
-  deactivateAccount: async () => {
+  // Schedule the account for permanent deletion after the grace period
+  deleteAccount: async () => {
     try {
       const response = await apiService.delete('/users/profile');
       return response;
@@ -41,33 +41,123 @@ export const userService = {
     }
   },
 
-  // Get all users (admin only)
-  getAllUsers: async () => {
-    try {
-      const response = await apiService.get('/users');
-      return response;
-    } catch (error) {
-      throw error;
-    }
+  // Search all users with filtering, sorting and pagination (admin only)
+  getAllUsers: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    // Add filtering parameters
+    if (params.search) queryParams.append('search', params.search);
+    if (params.role) queryParams.append('role', params.role);
+    if (params.status) queryParams.append('status', params.status);
+    if (params.lastLoginBefore) queryParams.append('lastLoginBefore', params.lastLoginBefore);
+    if (params.lastLoginAfter) queryParams.append('lastLoginAfter', params.lastLoginAfter);
+    if (params.sort) queryParams.append('sort', params.sort);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const query = queryParams.toString();
+    const url = query ? `/users?${query}` : '/users';
+
+    const response = await apiService.get(url);
+    return response;
+  },
+
+  // Get a single user with task counts (admin only)
+  getUser: async (userId) => {
+    const response = await apiService.get(`/users/${userId}`);
+    return response;
+  },
+
+  // Get the roles users can be given (admin only)
+  getRoles: async () => {
+    const response = await apiService.get('/users/roles');
+    return response;
+  },
+
+  // Change a user's role (admin only)
+  updateUserRole: async (userId, role) => {
+    const response = await apiService.put(`/users/${userId}/role`, { role });
+    return response;
+  },
+
+  // Deactivate a user's account (admin only)
+  deactivateUser: async (userId) => {
+    const response = await apiService.post(`/users/${userId}/deactivate`);
+    return response;
+  },
+
+  // Reactivate a user's account (admin only)
+  reactivateUser: async (userId) => {
+    const response = await apiService.post(`/users/${userId}/reactivate`);
+    return response;
+  },
+
+  // Require a user to reset their password (admin only)
+  forcePasswordReset: async (userId) => {
+    const response = await apiService.post(`/users/${userId}/force-password-reset`);
+    return response;
+  },
+
+  // Lift a login lockout on a user's account (admin only)
+  unlockUser: async (userId) => {
+    const response = await apiService.post(`/users/${userId}/unlock`);
+    return response;
+  },
+
+  // Get the user's preferences
+  getPreferences: async () => {
+    const response = await apiService.get('/users/preferences');
+    return response;
   },
 
-  // Upload user avatar (if implemented)
+  // Change some preferences, e.g. { theme: 'dark' }
+  updatePreferences: async (changes) => {
+    const response = await apiService.patch('/users/preferences', changes);
+    return response;
+  },
+
+  // List accounts waiting to be deleted (admin only)
+  getPendingDeletions: async () => {
+    const response = await apiService.get('/users/deletions');
+    return response;
+  },
+
+  // Page through the user's own security activity, newest first
+  getSecurityEvents: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.outcome) queryParams.append('outcome', params.outcome);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const query = queryParams.toString();
+    const url = query ? `/users/me/security-events?${query}` : '/users/me/security-events';
+
+    const response = await apiService.get(url);
+    return response;
+  },
+
+  // Get the user's latest data export, with a download link once it's ready
+  getDataExport: async () => {
+    const response = await apiService.get('/users/data-export');
+    return response;
+  },
+
+  // Start building an archive of the user's data
+  requestDataExport: async () => {
+    const response = await apiService.post('/users/data-export');
+    return response;
+  },
+
+  // Upload an avatar image, reporting upload progress to onProgress
   uploadAvatar: async (formData, onProgress = null) => {
-    try {
-      const response = await apiService.upload('/users/avatar', formData, onProgress);
-      return response;
-    } catch (error) {
-      throw error;
-    }
+    const response = await apiService.upload('/users/avatar', formData, onProgress);
+    return response;
   },
 
-  // Delete user avatar (if implemented)
+  // Remove the user's avatar
   deleteAvatar: async () => {
-    try {
-      const response = await apiService.delete('/users/avatar');
-      return response;
-    } catch (error) {
-      throw error;
-    }
+    const response = await apiService.delete('/users/avatar');
+    return response;
   },
 };
\ No newline at end of file
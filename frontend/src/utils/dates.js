@@ -0,0 +1,102 @@
+import { useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Used until the user picks a time zone and locale on their profile
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+export const BROWSER_LOCALE = navigator.language || 'en-US';
+
+// Date formats users can choose from (matches DATE_FORMATS on the backend)
+export const DATE_FORMATS = [
+  { value: 'locale', label: 'Based on my locale' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+];
+
+// Order of the date parts in each fixed format
+const DATE_PATTERNS = {
+  'MM/DD/YYYY': { order: ['month', 'day', 'year'], separator: '/' },
+  'DD/MM/YYYY': { order: ['day', 'month', 'year'], separator: '/' },
+  'YYYY-MM-DD': { order: ['year', 'month', 'day'], separator: '-' },
+};
+
+const DEFAULT_DATE_OPTIONS = { year: 'numeric', month: 'short', day: 'numeric' };
+
+// Year, month and day of a date in a time zone, zero-padded
+const getDateParts = (date, timeZone) => {
+  return Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+};
+
+// Date and time helpers that follow a user's time zone, locale and date format
+export const createDateFormatter = ({ timezone, locale, dateFormat } = {}) => {
+  const timeZone = timezone || BROWSER_TIME_ZONE;
+  const language = locale || BROWSER_LOCALE;
+  const pattern = DATE_PATTERNS[dateFormat];
+
+  const formatDate = (value, options = DEFAULT_DATE_OPTIONS, zone = timeZone) => {
+    const date = new Date(value);
+
+    if (pattern) {
+      const parts = getDateParts(date, zone);
+      return pattern.order.map(type => parts[type]).join(pattern.separator);
+    }
+    return date.toLocaleDateString(language, { ...options, timeZone: zone });
+  };
+
+  const formatTime = (value) => {
+    return new Date(value).toLocaleTimeString(language, {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone,
+    });
+  };
+
+  const formatDateTime = (value, options = DEFAULT_DATE_OPTIONS) => {
+    if (pattern) {
+      return `${formatDate(value)} ${formatTime(value)}`;
+    }
+    return new Date(value).toLocaleString(language, {
+      ...options,
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone,
+    });
+  };
+
+  // Today's date in the user's time zone, as midnight UTC like stored due dates
+  const startOfToday = () => {
+    const { year, month, day } = getDateParts(new Date(), timeZone);
+    return new Date(`${year}-${month}-${day}T00:00:00.000Z`);
+  };
+
+  return {
+    timeZone,
+    locale: language,
+    formatDate,
+    formatTime,
+    formatDateTime,
+    // Due dates are calendar days stored as midnight UTC, so they're shown as-is
+    formatDueDate: (value) => formatDate(value, DEFAULT_DATE_OPTIONS, 'UTC'),
+    // A task is overdue once its due date has passed in the user's time zone
+    isOverdue: (dueDate) => Boolean(dueDate) && new Date(dueDate) < startOfToday(),
+    // Current hour (0-23) in the user's time zone
+    getCurrentHour: () => Number(
+      new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(new Date())
+    ),
+  };
+};
+
+// Date helpers for the signed-in user's preferences
+export const useDateFormat = () => {
+  const { user } = useAuth();
+  const { timezone, locale, dateFormat } = user || {};
+
+  return useMemo(
+    () => createDateFormatter({ timezone, locale, dateFormat }),
+    [timezone, locale, dateFormat]
+  );
+};
@@ -0,0 +1,24 @@
+// Turn a user agent string into something like "Chrome on Windows"
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+  const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
@@ -0,0 +1,51 @@
+// Preference choices, matching backend/config/preferences.js
+
+export const PAGE_SIZES = [10, 20, 50];
+
+export const TASK_SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: 'dueDate', label: 'Due date (soonest)' },
+  { value: '-dueDate', label: 'Due date (latest)' },
+  { value: 'title', label: 'Title (A-Z)' },
+  { value: '-title', label: 'Title (Z-A)' },
+];
+
+export const LANDING_PAGES = [
+  { value: '/dashboard', label: 'Dashboard' },
+  { value: '/tasks', label: 'Tasks' },
+  { value: '/profile', label: 'Profile' },
+];
+
+export const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'system', label: 'Match my device' },
+];
+
+export const NOTIFICATION_OPTIONS = [
+  { key: 'securityAlerts', label: 'Security alerts', description: 'New sign-ins and changes to your account' },
+  { key: 'taskReminders', label: 'Task reminders', description: 'Tasks that are due soon or overdue' },
+  { key: 'productUpdates', label: 'Product updates', description: 'News about TaskMaster features' },
+];
+
+// Used before the user's preferences have loaded, or if they can't be
+export const DEFAULT_PREFERENCES = {
+  tasks: {
+    pageSize: 10,
+    sort: '-createdAt',
+    filters: {
+      status: '',
+      priority: '',
+      category: '',
+    },
+  },
+  landingPage: '/dashboard',
+  theme: 'light',
+  notifications: {
+    securityAlerts: true,
+    taskReminders: true,
+    productUpdates: false,
+  },
+};